@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+const { uploadDirectory } = require('../util/directory')
+const { logErr } = require('../util/log')
+
+const DEFAULT_CONFIG = 'upload.config.js'
+const USAGE = `Usage: webpack-upload [options] <dir>
+
+Upload a directory built before, and rewrite references in it the same way as UploadPlugin with smartAssMode.
+
+Options:
+  -c, --config <file>       module exporting { cdn, ...options of UploadPlugin }, or a function returning it (default: ${DEFAULT_CONFIG})
+  -p, --public-path <path>  output.publicPath the directory is built with
+  -s, --stats <file>        webpack stats json, to know files of each chunk
+  --dry-run                 report what would happen, upload and write nothing
+  -h, --help                show this message`
+
+/**
+ * @param {string[]} argv
+ * @return {{config: string, publicPath: string=, stats: string=, dryRun: boolean, help: boolean, dir: string=}}
+ */
+function parseArgs(argv) {
+  const args = { config: DEFAULT_CONFIG, dryRun: false, help: false }
+  const withValue = {
+    '-c': 'config',
+    '--config': 'config',
+    '-p': 'publicPath',
+    '--public-path': 'publicPath',
+    '-s': 'stats',
+    '--stats': 'stats',
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (withValue[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`)
+      args[withValue[arg]] = argv[++i]
+    } else if (arg === '--dry-run') {
+      args.dryRun = true
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true
+    } else if (arg.startsWith('-')) {
+      throw new Error(`unknown option ${arg}`)
+    } else if (args.dir) {
+      throw new Error(
+        `only one directory is allowed, got ${args.dir} and ${arg}`
+      )
+    } else {
+      args.dir = arg
+    }
+  }
+  return args
+}
+
+/**
+ * files of each async chunk from webpack stats
+ * @param {string} file
+ * @return {{[chunkId: string]: string[]}}
+ */
+function readChunks(file) {
+  const stats = JSON.parse(fs.readFileSync(file, 'utf8'))
+  // multi compiler stats has children
+  const chunks =
+    stats.chunks ||
+    [].concat(...(stats.children || []).map((child) => child.chunks || []))
+  return chunks
+    .filter((chunk) => !chunk.initial)
+    .reduce(
+      (last, chunk) => Object.assign(last, { [chunk.id]: chunk.files }),
+      {}
+    )
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help || !args.dir) {
+    console.log(USAGE)
+    process.exitCode = args.help ? 0 : 1
+    return
+  }
+  const configFile = path.resolve(args.config)
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`config file ${configFile} is not found`)
+  }
+  const exported = require(configFile)
+  const config = await (typeof exported === 'function' ? exported() : exported)
+  await uploadDirectory(
+    Object.assign(
+      // exit with non-zero code on failure, unless the config says otherwise
+      { failOnError: true },
+      config,
+      {
+        root: args.dir,
+        dryRun: args.dryRun || !!config.dryRun,
+      },
+      args.publicPath !== undefined ? { publicPath: args.publicPath } : {},
+      args.stats ? { chunks: readChunks(args.stats) } : {}
+    )
+  )
+}
+
+main().catch((e) => {
+  logErr(e && e.message ? e.message : e)
+  process.exitCode = 1
+})
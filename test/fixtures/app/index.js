@@ -0,0 +1,4 @@
+import './main.css'
+
+window.loadLazy = () => import(/* webpackChunkName: "lazy" */ './lazy')
+window.loadOther = () => import(/* webpackChunkName: "other" */ './other')
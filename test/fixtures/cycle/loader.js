@@ -0,0 +1,5 @@
+window.loadTheme = function () {
+  var link = document.createElement('link')
+  link.href = 'theme.css'
+  document.head.appendChild(link)
+}
@@ -0,0 +1,3 @@
+var script = document.createElement('script')
+script.src = 'loader.js'
+document.head.appendChild(script)
@@ -0,0 +1,171 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const vm = require('vm')
+const fse = require('fs-extra')
+const webpack = require('webpack')
+const HtmlWebpackPlugin = require('html-webpack-plugin')
+const MiniCssExtractPlugin = require('mini-css-extract-plugin')
+const UploadPlugin = require('..')
+
+// registered by specs, run by test/run.js
+const tests = []
+
+/**
+ * @param {string} name
+ * @param {function(): Promise<*>} fn
+ */
+function test(name, fn) {
+  tests.push({ name, fn })
+}
+
+/**
+ * empty directory for one test, outside of the repo
+ * @param {string} name
+ * @return {string}
+ */
+function tmpDir(name) {
+  const dir = path.join(os.tmpdir(), 'webpack-upload-plugin-test', name)
+  fse.emptyDirSync(dir)
+  return dir
+}
+
+/**
+ * cdn putting every file under base, with the path relative to root
+ * @param {string} root
+ * @param {string=} [base="https://a.cdn/"]
+ * @return {{upload: function(string[]): Promise<object>, uploaded: string[], calls: Array[]}}
+ */
+function createCdn(root, base = 'https://a.cdn/') {
+  const cdn = {
+    uploaded: [],
+    calls: [],
+    upload(files, ...rest) {
+      cdn.calls.push([files, ...rest])
+      cdn.uploaded.push(...files)
+      return Promise.resolve(
+        files.reduce(
+          (last, file) =>
+            Object.assign(last, {
+              [file]: `${base}${path.relative(root, file).replace(/\\/g, '/')}`,
+            }),
+          {}
+        )
+      )
+    },
+  }
+  return cdn
+}
+
+/**
+ * webpack@4 config for a fixture in test/fixtures, same setup as test/webpack.config.js
+ * @param {object} option
+ * @param {string} option.fixture directory name in test/fixtures
+ * @param {string} option.outputPath
+ * @param {object} option.cdn
+ * @param {object=} option.plugin options of UploadPlugin
+ * @param {string=} [option.publicPath=""]
+ * @return {object}
+ */
+function createConfig(option) {
+  const { fixture, outputPath, cdn, plugin = {}, publicPath = '' } = option
+  return {
+    mode: 'none',
+    context: path.join(__dirname, 'fixtures', fixture),
+    entry: './index.js',
+    output: {
+      path: outputPath,
+      filename: 'main.[contenthash:6].js',
+      chunkFilename: '[name].[contenthash:6].js',
+      publicPath,
+    },
+    module: {
+      rules: [
+        {
+          test: /\.css$/,
+          use: [MiniCssExtractPlugin.loader, 'css-loader'],
+        },
+      ],
+    },
+    plugins: [
+      new MiniCssExtractPlugin({
+        filename: '[name].css',
+        chunkFilename: '[name].chunk.css',
+      }),
+      new HtmlWebpackPlugin(),
+      new UploadPlugin(cdn, Object.assign({ enableCache: false }, plugin)),
+    ],
+  }
+}
+
+/**
+ * run webpack with the node api
+ * @param {object} config
+ * @param {object=} compiler webpack function to use, webpack@4 of the repo by default
+ * @return {Promise<object>} stats
+ */
+function build(config, compiler = webpack) {
+  return new Promise((resolve, reject) => {
+    compiler(config, (err, stats) => (err ? reject(err) : resolve(stats)))
+  })
+}
+
+/**
+ * @param {string} file
+ * @return {string}
+ */
+function read(file) {
+  return fs.readFileSync(file, 'utf8')
+}
+
+/**
+ * write files {relativePath: content} under root
+ * @param {string} root
+ * @param {{[file: string]: string}} files
+ */
+function writeFiles(root, files) {
+  Object.keys(files).forEach((file) => {
+    fse.outputFileSync(path.join(root, file), files[file])
+  })
+}
+
+/**
+ * run entry in a fake browser, collect elements appended to head
+ * @param {string} code
+ * @param {string=} scriptUrl where the entry is loaded from, for publicPath 'auto'
+ * @return {{window: object, appended: object[]}}
+ */
+function runInBrowser(code, scriptUrl) {
+  const appended = []
+  const head = { appendChild: (element) => appended.push(element) }
+  const document = {
+    createElement: (tagName) => ({
+      tagName,
+      setAttribute() {},
+      getAttribute() {},
+    }),
+    getElementsByTagName: (tagName) => (tagName === 'head' ? [head] : []),
+    head,
+    currentScript: scriptUrl
+      ? { tagName: 'SCRIPT', src: scriptUrl }
+      : undefined,
+  }
+  // chunks never load, nothing should wait for them
+  const window = { document, setTimeout: () => 0, clearTimeout: () => {} }
+  window.window = window
+  window.self = window
+  vm.runInNewContext(code, window)
+  return { window, appended }
+}
+
+module.exports = {
+  tests,
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  writeFiles,
+  runInBrowser,
+}
@@ -0,0 +1,31 @@
+// run every spec in test/specs one by one, or the ones named in argv
+// node test/run.js [spec...]
+const fs = require('fs')
+const path = require('path')
+const { tests } = require('./helpers')
+
+const SPEC_DIR = path.join(__dirname, 'specs')
+
+async function main() {
+  const only = process.argv.slice(2)
+  fs.readdirSync(SPEC_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .filter((file) => !only.length || only.includes(path.basename(file, '.js')))
+    .sort()
+    .forEach((file) => require(path.join(SPEC_DIR, file)))
+  let failed = 0
+  for (const { name, fn } of tests) {
+    try {
+      await fn()
+      console.log(`ok - ${name}`)
+    } catch (e) {
+      failed++
+      console.log(`not ok - ${name}`)
+      console.log(e)
+    }
+  }
+  console.log(`${tests.length - failed}/${tests.length} passed`)
+  process.exitCode = failed ? 1 : 0
+}
+
+main()
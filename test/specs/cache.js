@@ -0,0 +1,46 @@
+const assert = require('assert')
+const path = require('path')
+const UploadPlugin = require('../..')
+const { test, tmpDir, writeFiles, read } = require('../helpers')
+
+test('files of the same content keep their own keys in cache', async () => {
+  const root = tmpDir('cache-key')
+  writeFiles(root, { 'a.css': 'body{}' })
+  const entries = new Map()
+  const cacheStore = {
+    get: (key) => entries.get(key),
+    set: (key, value) => entries.set(key, value),
+  }
+  const uploaded = []
+  const cdn = {
+    upload(files, passToCdn, metadata, keys) {
+      uploaded.push(...files)
+      return Promise.resolve(
+        files.reduce(
+          (last, file) =>
+            Object.assign(last, { [file]: `https://a.cdn/${keys[file]}` }),
+          {}
+        )
+      )
+    },
+  }
+  const option = {
+    root,
+    cdn,
+    cacheStore,
+    keyTemplate: '[name].[ext]',
+    emitManifest: true,
+  }
+  const getUrl = (name) =>
+    JSON.parse(read(path.join(root, 'upload-manifest.json')))[name].url
+  await UploadPlugin.uploadDirectory(option)
+  // same bytes, different name
+  writeFiles(root, { 'b.css': 'body{}' })
+  await UploadPlugin.uploadDirectory(option)
+  assert.deepStrictEqual(
+    uploaded.map((file) => path.basename(file)),
+    ['a.css', 'b.css']
+  )
+  assert.strictEqual(getUrl('a.css'), 'https://a.cdn/a.css')
+  assert.strictEqual(getUrl('b.css'), 'https://a.cdn/b.css')
+})
@@ -0,0 +1,183 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const fse = require('fs-extra')
+const { uploadDirectory } = require('../..')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  writeFiles,
+} = require('../helpers')
+
+const BIN = path.join(__dirname, '..', '..', 'bin', 'webpack-upload.js')
+const HELPERS = path.join(__dirname, '..', 'helpers.js')
+
+/**
+ * @param {string[]} args
+ * @return {{status: number, stdout: string, stderr: string}}
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [BIN, ...args], {
+    encoding: 'utf8',
+    timeout: 60000,
+  })
+}
+
+/**
+ * config for the CLI, cdn failing the files matched
+ * @param {string} file
+ * @param {string} root
+ * @param {object} option
+ * @param {RegExp=} option.fail
+ * @param {boolean=} option.failOnError
+ */
+function writeConfig(file, root, option = {}) {
+  const { fail, failOnError } = option
+  writeFiles(path.dirname(file), {
+    [path.basename(file)]: `const { createCdn } = require(${JSON.stringify(
+      HELPERS
+    )})
+const cdn = createCdn(${JSON.stringify(root)})
+const upload = cdn.upload
+const fail = ${fail ? fail.toString() : 'null'}
+cdn.upload = (files) =>
+  upload(files).then((res) => {
+    Object.keys(res)
+      .filter((file) => fail && fail.test(file))
+      .forEach((file) => delete res[file])
+    return res
+  })
+module.exports = Object.assign(
+  { cdn, enableCache: false },
+  ${failOnError === undefined ? '{}' : JSON.stringify({ failOnError })}
+)
+`,
+  })
+}
+
+/**
+ * all files under root, relative to it
+ * @param {string} root
+ * @return {string[]}
+ */
+const listFiles = (root) =>
+  fs
+    .readdirSync(root)
+    .reduce(
+      (last, name) =>
+        fs.statSync(path.join(root, name)).isDirectory()
+          ? last.concat(
+              listFiles(path.join(root, name)).map((file) =>
+                path.join(name, file)
+              )
+            )
+          : last.concat(name),
+      []
+    )
+    .sort()
+
+/**
+ * build the fixture app without uploading, with stats for the CLI
+ * @param {string} name
+ * @return {Promise<{dir: string, statsFile: string}>}
+ */
+async function buildRaw(name) {
+  const root = tmpDir(name)
+  const dir = path.join(root, 'dist')
+  // dry run keeps the runtime injected, like the plugin would
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath: dir,
+      cdn: createCdn(dir),
+      plugin: { dryRun: true },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const statsFile = path.join(root, 'stats.json')
+  fs.writeFileSync(
+    statsFile,
+    JSON.stringify(stats.toJson({ all: false, chunks: true }))
+  )
+  return { root, dir, statsFile }
+}
+
+test('CLI uploads a built directory the same way as the plugin', async () => {
+  const pluginDir = tmpDir('cli-plugin')
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath: pluginDir,
+      cdn: createCdn(pluginDir),
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const { root, dir, statsFile } = await buildRaw('cli')
+  const configFile = path.join(root, 'upload.config.js')
+  writeConfig(configFile, dir)
+  const { status, stderr } = runCli(['-c', configFile, '-s', statsFile, dir])
+  assert.strictEqual(status, 0, stderr)
+  const files = listFiles(pluginDir)
+  assert.deepStrictEqual(listFiles(dir), files)
+  files.forEach((file) =>
+    assert.strictEqual(
+      read(path.join(dir, file)),
+      read(path.join(pluginDir, file)),
+      file
+    )
+  )
+})
+
+test('CLI exits with 1 when files fail to upload, unless told otherwise', async () => {
+  const { root, dir, statsFile } = await buildRaw('cli-fail')
+  const copy = path.join(root, 'copy')
+  fse.copySync(dir, copy)
+  const failing = path.join(root, 'failing.config.js')
+  writeConfig(failing, dir, { fail: /lazy\.chunk\.css$/ })
+  const failed = runCli(['-c', failing, '-s', statsFile, dir])
+  assert.strictEqual(failed.status, 1, failed.stderr)
+  assert.ok(/failed to upload/.test(failed.stdout + failed.stderr))
+  const tolerant = path.join(root, 'tolerant.config.js')
+  writeConfig(tolerant, copy, {
+    fail: /lazy\.chunk\.css$/,
+    failOnError: false,
+  })
+  const passed = runCli(['-c', tolerant, '-s', statsFile, copy])
+  assert.strictEqual(passed.status, 0, passed.stderr)
+})
+
+test('CLI tells css chunks from the runtime without stats', async () => {
+  const { root, dir } = await buildRaw('cli-no-stats')
+  const configFile = path.join(root, 'upload.config.js')
+  writeConfig(configFile, dir)
+  const { status, stderr } = runCli(['-c', configFile, dir])
+  assert.strictEqual(status, 0, stderr)
+  const main = listFiles(dir).find((file) => /^main\..+\.js$/.test(file))
+  const code = read(path.join(dir, main))
+  const cssUrls = code.match(
+    /\/\*__WEBPACK_UPLOAD_PLUGIN_CSS_URL__\*\/(\{[^}]*\})/
+  )
+  assert.deepStrictEqual(Object.values(JSON.parse(cssUrls[1])), [
+    'https://a.cdn/lazy.chunk.css',
+  ])
+})
+
+test('code of uploaded directory is parsed for css chunks, never run', async () => {
+  const root = tmpDir('cli-css-chunks')
+  writeFiles(root, {
+    '0.css': '.lazy{}',
+    'evil.js': [
+      'var cssChunks = {"0":1};',
+      'var href = "" + (global.__cssChunksRun = chunkId) + ".css";',
+    ].join('\n'),
+  })
+  const cdn = createCdn(root)
+  await uploadDirectory({ root, cdn, enableCache: false })
+  assert.strictEqual(global.__cssChunksRun, undefined)
+  assert.ok(cdn.uploaded.includes(path.join(root, '0.css')))
+})
@@ -0,0 +1,93 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const md5 = require('md5')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+} = require('../helpers')
+const { DRY_RUN_HOST } = require('../../util/dryRun')
+
+test('dry run reports uploads and rewrites without calling the cdn', async () => {
+  const outputPath = tmpDir('dry-run')
+  const cdn = createCdn(outputPath)
+  const beforeUpload = []
+  let report
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn,
+      plugin: {
+        dryRun: true,
+        emitManifest: true,
+        beforeUpload: (content, location) => {
+          beforeUpload.push(location)
+          return content
+        },
+        onFinish: (r) => (report = r),
+      },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  assert.deepStrictEqual(cdn.calls, [])
+  assert.deepStrictEqual(beforeUpload, [])
+  // every file but the template, the entry after chunks it loads
+  const { uploads } = report
+  assert.deepStrictEqual(
+    uploads.map(({ phase }) => phase),
+    ['level 1', 'level 2']
+  )
+  const main = uploads[1].files.find((file) => /^main\..+\.js$/.test(file))
+  assert.ok(main, uploads[1].files.join())
+  assert.deepStrictEqual(
+    [].concat(...uploads.map(({ files }) => files)).sort(),
+    fs
+      .readdirSync(outputPath)
+      .filter((file) => file !== 'index.html')
+      .sort()
+  )
+  // urls are faked from content
+  const cssHash = md5(fs.readFileSync(path.join(outputPath, 'main.css')))
+  const template = report.rewrites.find(({ phase }) => phase === 'templates')
+  assert.strictEqual(template.file, 'index.html')
+  assert.deepStrictEqual(
+    template.changes.find(({ from }) => from === 'main.css'),
+    {
+      from: 'main.css',
+      to: `${DRY_RUN_HOST}/${cssHash.slice(0, 8)}/main.css`,
+      count: 1,
+    }
+  )
+  // nothing written
+  const html = read(path.join(outputPath, 'index.html'))
+  assert.ok(html.includes('href="main.css"'), html)
+  assert.ok(!read(path.join(outputPath, main)).includes(DRY_RUN_HOST))
+  assert.ok(!fs.existsSync(path.join(outputPath, 'upload-manifest.json')))
+})
+
+test('dry run fakes the same url for the same content', async () => {
+  const urls = await Promise.all(
+    ['dry-run-a', 'dry-run-b'].map(async (name) => {
+      const outputPath = tmpDir(name)
+      let report
+      await build(
+        createConfig({
+          fixture: 'app',
+          outputPath,
+          cdn: createCdn(outputPath),
+          plugin: { dryRun: true, onFinish: (r) => (report = r) },
+        })
+      )
+      return report.rewrites
+        .filter(({ changes }) => changes)
+        .map(({ changes }) => changes.map(({ to }) => to))
+    })
+  )
+  assert.ok(urls[0].length)
+  assert.deepStrictEqual(urls[0], urls[1])
+})
@@ -0,0 +1,91 @@
+const assert = require('assert')
+const path = require('path')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  runInBrowser,
+} = require('../helpers')
+
+test('excluded files keep publicPath in templates', async () => {
+  const outputPath = tmpDir('exclude-template')
+  const cdn = createCdn(outputPath)
+  let report
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn,
+      publicPath: '/static/',
+      plugin: { exclude: /main\.css$/, onFinish: (r) => (report = r) },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const html = read(path.join(outputPath, 'index.html'))
+  assert.ok(html.includes('href="/static/main.css"'), html)
+  assert.ok(/src="https:\/\/a\.cdn\/main\.[0-9a-f]{6}\.js"/.test(html), html)
+  assert.ok(!cdn.uploaded.includes(path.join(outputPath, 'main.css')))
+  assert.deepStrictEqual(report.excluded, ['main.css'])
+})
+
+/**
+ * urls the runtime loads lazy and other chunks from
+ * @param {object} plugin options of UploadPlugin
+ * @param {string} name
+ * @return {Promise<{urls: string[], code: string}>} code of main bundle
+ */
+async function loadChunks(name, plugin) {
+  const outputPath = tmpDir(name)
+  const cdn = createCdn(outputPath)
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn,
+      publicPath: '/static/',
+      plugin: Object.assign({ exclude: /other\.[0-9a-f]+\.js$/ }, plugin),
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const { assets } = stats.toJson({ all: false, assets: true })
+  const main = assets.find((asset) => /^main\..+\.js$/.test(asset.name))
+  const code = read(path.join(outputPath, main.name))
+  const { window, appended } = runInBrowser(code)
+  window.loadLazy().catch(() => {})
+  window.loadOther().catch(() => {})
+  return { urls: appended.map((element) => element.src || element.href), code }
+}
+
+test('excluded chunks load from local publicPath', async () => {
+  const { urls } = await loadChunks('exclude-chunk', {})
+  assert.strictEqual(urls.length, 3, urls.join())
+  assert.ok(urls.includes('https://a.cdn/lazy.chunk.css'), urls.join())
+  assert.ok(
+    urls.some((url) => /^https:\/\/a\.cdn\/lazy\.[0-9a-f]{6}\.js$/.test(url)),
+    urls.join()
+  )
+  assert.ok(
+    urls.some((url) => /^\/static\/other\.[0-9a-f]{6}\.js$/.test(url)),
+    urls.join()
+  )
+})
+
+test('runtimePublicPath is left alone while a chunk stays local', async () => {
+  const local = await loadChunks('exclude-chunk-runtime', {
+    runtimePublicPath: 'https://b.cdn/',
+  })
+  assert.ok(!local.code.includes('https://b.cdn/'))
+  assert.ok(
+    local.urls.some((url) => /^\/static\/other\.[0-9a-f]{6}\.js$/.test(url)),
+    local.urls.join()
+  )
+  // every chunk uploaded, the runtime gets the public path given
+  const all = await loadChunks('exclude-chunk-none', {
+    runtimePublicPath: 'https://b.cdn/',
+    exclude: undefined,
+  })
+  assert.ok(all.code.includes('https://b.cdn/'))
+})
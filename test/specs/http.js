@@ -0,0 +1,191 @@
+const assert = require('assert')
+const http = require('http')
+const path = require('path')
+const { test, tmpDir, writeFiles } = require('../helpers')
+const { http: httpAdapter } = require('../../util/adapters/http')
+const { getBackoff, retry } = require('../../util/adapters/retry')
+
+/**
+ * parts of a multipart/form-data body
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @return {{name: string, filename: string=, contentType: string=, value: string}[]}
+ */
+function parseMultipart(body, contentType) {
+  const boundary = contentType.match(/boundary=(.+)$/)[1]
+  return body
+    .toString()
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .map((part) => {
+      const [head, ...rest] = part.replace(/^\r\n/, '').split('\r\n\r\n')
+      const [, filename] = head.match(/filename="([^"]*)"/) || []
+      const [, type] = head.match(/Content-Type: (.+)/) || []
+      return {
+        name: head.match(/name="([^"]*)"/)[1],
+        filename,
+        contentType: type,
+        value: rest.join('\r\n\r\n').replace(/\r\n$/, ''),
+      }
+    })
+}
+
+/**
+ * upload server answering with the status for the file name, and json of its url when 200
+ * @param {function(string): number} getStatus
+ * @return {Promise<{server: http.Server, url: string, requests: object[]}>}
+ */
+function createServer(getStatus) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      const parts = parseMultipart(
+        Buffer.concat(chunks),
+        req.headers['content-type']
+      )
+      const file = parts.find(({ filename }) => filename)
+      requests.push({ headers: req.headers, parts })
+      res.statusCode = getStatus(file.filename)
+      res.end(
+        res.statusCode === 200
+          ? JSON.stringify({ data: { url: `https://a.cdn/${file.filename}` } })
+          : 'nope'
+      )
+    })
+  })
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () =>
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}/upload`,
+        requests,
+      })
+    )
+  )
+}
+
+test('http adapter posts each file as multipart/form-data', async () => {
+  const root = tmpDir('http')
+  writeFiles(root, { 'a.js': 'console.log("a")', 'b.css': 'body{}' })
+  const { server, url, requests } = await createServer(() => 200)
+  try {
+    const cdn = httpAdapter({
+      url,
+      fieldName: 'asset',
+      headers: { authorization: 'token' },
+      fields: (file, metadata, key) => ({ path: key || '' }),
+      parseResponse: (res) => res.data.url,
+    })
+    const [a, b] = ['a.js', 'b.css'].map((file) => path.join(root, file))
+    const res = await cdn.upload(
+      [a, b],
+      undefined,
+      { [b]: { 'Content-Type': 'text/x-css' } },
+      { [a]: 'proj/a.1234.js' }
+    )
+    assert.deepStrictEqual(res, {
+      [a]: 'https://a.cdn/proj/a.1234.js',
+      [b]: 'https://a.cdn/b.css',
+    })
+    const partsOf = (filename) =>
+      requests.find(({ parts }) =>
+        parts.some((part) => part.filename === filename)
+      ).parts
+    assert.deepStrictEqual(partsOf('proj/a.1234.js'), [
+      {
+        name: 'path',
+        filename: undefined,
+        contentType: undefined,
+        value: 'proj/a.1234.js',
+      },
+      {
+        name: 'asset',
+        filename: 'proj/a.1234.js',
+        contentType: 'application/javascript; charset=utf-8',
+        value: 'console.log("a")',
+      },
+    ])
+    // content type from metadata
+    assert.strictEqual(partsOf('b.css')[1].contentType, 'text/x-css')
+    assert.strictEqual(partsOf('b.css')[1].value, 'body{}')
+    requests.forEach(({ headers }) =>
+      assert.strictEqual(headers.authorization, 'token')
+    )
+  } finally {
+    server.close()
+  }
+})
+
+test('http adapter retries 5xx, leaves out files failing for good', async () => {
+  const root = tmpDir('http-retry')
+  writeFiles(root, { 'a.js': 'a', 'flaky.js': 'flaky', 'denied.js': 'denied' })
+  let flaky = 2
+  const { server, url, requests } = await createServer((filename) => {
+    if (filename === 'denied.js') return 403
+    if (filename === 'flaky.js' && flaky-- > 0) return 503
+    return 200
+  })
+  const failures = []
+  const retried = []
+  try {
+    const cdn = httpAdapter({
+      url,
+      retryDelay: 1,
+      parseResponse: (res) => res.data.url,
+      onFailed: (failed) => failures.push(...failed),
+    })
+    const files = ['a.js', 'flaky.js', 'denied.js'].map((file) =>
+      path.join(root, file)
+    )
+    const res = await cdn.upload(files, undefined, undefined, undefined, {
+      onRetry: (file, e, attempt) =>
+        retried.push([path.basename(file), attempt]),
+    })
+    assert.deepStrictEqual(Object.keys(res), files.slice(0, 2))
+    assert.deepStrictEqual(retried, [
+      ['flaky.js', 1],
+      ['flaky.js', 2],
+    ])
+    // 4xx is not worth another try
+    const count = (filename) =>
+      requests.filter(({ parts }) =>
+        parts.some((part) => part.filename === filename)
+      ).length
+    assert.strictEqual(count('flaky.js'), 3)
+    assert.strictEqual(count('denied.js'), 1)
+    assert.deepStrictEqual(
+      failures.map(({ file, error }) => [
+        path.basename(file),
+        error.statusCode,
+      ]),
+      [['denied.js', 403]]
+    )
+  } finally {
+    server.close()
+  }
+})
+
+test('retry backs off exponentially up to the limit', async () => {
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const delay = Math.min(1000, 100 * Math.pow(2, attempt))
+    const backoff = getBackoff(attempt, 100, 1000)
+    assert.ok(
+      backoff >= delay / 2 && backoff <= delay,
+      `${attempt}: ${backoff}`
+    )
+  }
+  const attempts = []
+  await assert.rejects(
+    retry(
+      (attempt) => {
+        attempts.push(attempt)
+        return Promise.reject(new Error(`failed ${attempt}`))
+      },
+      { retries: 2, baseDelay: 1 }
+    ),
+    /failed 2/
+  )
+  assert.deepStrictEqual(attempts, [0, 1, 2])
+})
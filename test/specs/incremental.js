@@ -0,0 +1,77 @@
+const assert = require('assert')
+const path = require('path')
+const fse = require('fs-extra')
+const webpack = require('webpack')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  read,
+  writeFiles,
+} = require('../helpers')
+
+test('incremental rebuild uploads only files changed since last build', async () => {
+  const root = tmpDir('incremental')
+  const context = path.join(root, 'src')
+  const outputPath = path.join(root, 'dist')
+  fse.copySync(path.join(__dirname, '..', 'fixtures', 'app'), context)
+  const cdn = createCdn(outputPath)
+  // files uploaded by each run
+  const runs = []
+  let onRun
+  const config = createConfig({
+    fixture: 'app',
+    outputPath,
+    cdn,
+    plugin: {
+      incremental: true,
+      onFinish: () => {
+        runs.push(cdn.uploaded.splice(0))
+        onRun()
+      },
+    },
+  })
+  // loaders are out of reach from the copy
+  config.context = context
+  config.resolveLoader = {
+    modules: [path.join(__dirname, '..', '..', 'node_modules')],
+  }
+  const nextRun = () =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => onRun(new Error('no rebuild')), 30000)
+      onRun = (err) => {
+        clearTimeout(timer)
+        err ? reject(err) : resolve()
+      }
+    })
+  const compiler = webpack(config)
+  let watching
+  try {
+    const first = nextRun()
+    watching = compiler.watch({ aggregateTimeout: 50 }, (err, stats) => {
+      if (err || stats.hasErrors()) onRun(err || new Error(stats.toString()))
+    })
+    await first
+    const rebuild = nextRun()
+    writeFiles(context, { 'other.js': 'export default "changed"' })
+    await rebuild
+  } finally {
+    await new Promise((resolve) =>
+      watching ? watching.close(resolve) : resolve()
+    )
+  }
+  const names = runs.map((files) =>
+    files.map((file) => path.relative(outputPath, file)).sort()
+  )
+  assert.strictEqual(names[0].length, 5, names[0].join())
+  // the changed chunk, and the entry whose runtime refers to it
+  assert.deepStrictEqual(
+    names[1].map((name) => name.replace(/\.[0-9a-f]{6}\.js$/, '.js')),
+    ['main.js', 'other.js']
+  )
+  const html = read(path.join(outputPath, 'index.html'))
+  const main = names[1].find((name) => name.startsWith('main.'))
+  assert.ok(html.includes(`src="https://a.cdn/${main}"`), html)
+  assert.ok(html.includes('href="https://a.cdn/main.css"'), html)
+})
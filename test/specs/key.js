@@ -0,0 +1,28 @@
+const assert = require('assert')
+const path = require('path')
+const md5 = require('md5')
+const { test, tmpDir, writeFiles } = require('../helpers')
+const { createKeyResolver } = require('../../util/key')
+
+test('keys of root and nested files have no empty or "." segments', () => {
+  const root = tmpDir('key')
+  writeFiles(root, { 'a.js': 'a', 'js/b.js': 'b' })
+  const getKey = createKeyResolver(
+    { template: 'proj/[path]/[name].[contenthash:8].[ext]', params: {} },
+    { root, getCategory: () => 'js' }
+  )
+  assert.strictEqual(
+    getKey(path.join(root, 'a.js')),
+    `proj/a.${md5('a').slice(0, 8)}.js`
+  )
+  assert.strictEqual(
+    getKey(path.join(root, 'js/b.js')),
+    `proj/js/b.${md5('b').slice(0, 8)}.js`
+  )
+  const getRelativeKey = createKeyResolver(
+    { template: './[path]/[name].[ext]', params: {} },
+    { root, getCategory: () => 'js' }
+  )
+  assert.strictEqual(getRelativeKey(path.join(root, 'a.js')), 'a.js')
+  assert.strictEqual(getRelativeKey(path.join(root, 'js/b.js')), 'js/b.js')
+})
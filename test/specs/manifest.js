@@ -0,0 +1,108 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const md5 = require('md5')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+} = require('../helpers')
+
+test('manifest lists every uploaded file by path relative to output.path', async () => {
+  const outputPath = tmpDir('manifest')
+  const cdn = createCdn(outputPath)
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn,
+      plugin: { emitManifest: true },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const manifest = JSON.parse(
+    read(path.join(outputPath, 'upload-manifest.json'))
+  )
+  assert.deepStrictEqual(
+    Object.keys(manifest).sort(),
+    cdn.uploaded.map((file) => path.relative(outputPath, file)).sort()
+  )
+  Object.keys(manifest).forEach((name) => {
+    const file = path.join(outputPath, name)
+    const { localPath, url, hash, size } = manifest[name]
+    assert.strictEqual(localPath, file)
+    assert.strictEqual(url, `https://a.cdn/${name}`)
+    // content after rewriting, same as what the cdn got
+    assert.strictEqual(hash, md5(fs.readFileSync(file)))
+    assert.strictEqual(size, fs.statSync(file).size)
+  })
+  const { chunks } = stats.toJson({ all: false, chunks: true })
+  const lazy = chunks.find(({ names }) => names.includes('lazy'))
+  const lazyJs = lazy.files.find((file) => file.endsWith('.js'))
+  assert.strictEqual(manifest[lazyJs].category, 'chunk')
+  assert.strictEqual(`${manifest[lazyJs].chunkId}`, `${lazy.id}`)
+  const main = Object.keys(manifest).find((name) => /^main\..+\.js$/.test(name))
+  assert.strictEqual(manifest[main].category, 'entry')
+  assert.strictEqual(manifest['main.css'].category, 'css')
+})
+
+test('manifest goes to the file given, and into assets with asset: true', async () => {
+  const outputPath = tmpDir('manifest-asset')
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn: createCdn(outputPath),
+      plugin: {
+        compilerHooks: 'afterEmit',
+        emitManifest: { filename: 'meta/cdn.json', asset: true },
+      },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const manifest = JSON.parse(read(path.join(outputPath, 'meta/cdn.json')))
+  assert.strictEqual(manifest['main.css'].url, 'https://a.cdn/main.css')
+  const asset = stats.compilation.getAsset('meta/cdn.json')
+  assert.strictEqual(
+    `${asset.source.source()}`,
+    read(path.join(outputPath, 'meta/cdn.json'))
+  )
+  assert.ok(!fs.existsSync(path.join(outputPath, 'upload-manifest.json')))
+})
+
+test('manifest as asset is refused once assets are done', async () => {
+  const outputPath = tmpDir('manifest-done')
+  await assert.rejects(
+    build(
+      createConfig({
+        fixture: 'app',
+        outputPath,
+        cdn: createCdn(outputPath),
+        plugin: { emitManifest: { asset: true } },
+      })
+    ),
+    /emitManifest\.asset needs compilerHooks/
+  )
+})
+
+test('nothing uploaded leaves an empty manifest', async () => {
+  const outputPath = tmpDir('manifest-empty')
+  const cdn = createCdn(outputPath)
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn,
+      plugin: { emitManifest: true, exclude: () => true },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  assert.deepStrictEqual(cdn.uploaded, [])
+  assert.deepStrictEqual(
+    JSON.parse(read(path.join(outputPath, 'upload-manifest.json'))),
+    {}
+  )
+})
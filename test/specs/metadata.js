@@ -0,0 +1,59 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const path = require('path')
+const UploadPlugin = require('../..')
+const { isHashedFile } = require('../../util/metadata')
+const { test, tmpDir, createCdn, build, writeFiles } = require('../helpers')
+
+test('hex words in file names are not taken as hash', () => {
+  const root = tmpDir('metadata-names')
+  const content = 'body{}'
+  const md5 = crypto.createHash('md5').update(content).digest('hex')
+  writeFiles(root, {
+    'facade.js': content,
+    'decade.css': content,
+    [`logo.${md5.slice(0, 8)}.css`]: content,
+  })
+  assert.strictEqual(isHashedFile(path.join(root, 'facade.js')), false)
+  assert.strictEqual(isHashedFile(path.join(root, 'decade.css')), false)
+  assert.strictEqual(
+    isHashedFile(path.join(root, `logo.${md5.slice(0, 8)}.css`)),
+    true
+  )
+  assert.strictEqual(
+    isHashedFile(path.join(root, 'facade.js'), ['facade12']),
+    true
+  )
+})
+
+test('cache headers follow hashes webpack put into names', async () => {
+  const root = tmpDir('metadata-build')
+  writeFiles(root, {
+    'src/index.js': 'console.log("index")',
+    'src/facade.js': 'console.log("facade")',
+  })
+  const outputPath = path.join(root, 'dist')
+  const cdn = createCdn(outputPath)
+  const stats = await build({
+    mode: 'none',
+    context: root,
+    entry: { index: './src/index.js', facade: './src/facade.js' },
+    output: {
+      path: outputPath,
+      filename: ({ chunk }) =>
+        chunk.name === 'facade' ? '[name].js' : '[name].[contenthash:6].js',
+    },
+    plugins: [new UploadPlugin(cdn, { enableCache: false, metadata: true })],
+  })
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const metadata = cdn.calls.reduce(
+    (last, [, , map]) => Object.assign(last, map),
+    {}
+  )
+  const cacheControl = (name) =>
+    metadata[
+      Object.keys(metadata).find((file) => path.basename(file).startsWith(name))
+    ]['Cache-Control']
+  assert.ok(/immutable/.test(cacheControl('index.')))
+  assert.strictEqual(cacheControl('facade.'), 'no-cache')
+})
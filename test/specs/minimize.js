@@ -0,0 +1,90 @@
+const assert = require('assert')
+const path = require('path')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  runInBrowser,
+} = require('../helpers')
+
+/**
+ * build the app minimized by webpack@4, with what the plugin logged
+ * @param {string} name
+ * @param {object=} plugin options of UploadPlugin
+ * @return {Promise<{outputPath: string, stats: object, logs: string[]}>}
+ */
+async function buildMinimized(name, plugin) {
+  const outputPath = tmpDir(name)
+  const config = createConfig({
+    fixture: 'app',
+    outputPath,
+    cdn: createCdn(outputPath),
+    plugin,
+  })
+  config.mode = 'production'
+  config.optimization = { minimize: true }
+  const logs = []
+  const { log } = console
+  console.log = (...args) => {
+    logs.push(args.join(' '))
+    log(...args)
+  }
+  try {
+    const stats = await build(config)
+    assert.ok(!stats.hasErrors(), stats.toString())
+    return { outputPath, stats, logs }
+  } finally {
+    console.log = log
+  }
+}
+
+/**
+ * @param {object} stats
+ * @param {RegExp} exp
+ * @return {string}
+ */
+const assetOf = (stats, exp) =>
+  stats
+    .toJson({ all: false, assets: true })
+    .assets.find(({ name }) => exp.test(name)).name
+
+test('minimized webpack@4 runtime loads chunks from cdn', async () => {
+  const { outputPath, stats, logs } = await buildMinimized('minimize')
+  assert.ok(!logs.some((line) => /optimization\.minimize/.test(line)), logs)
+  const main = assetOf(stats, /^main\..+\.js$/)
+  const code = read(path.join(outputPath, main))
+  // it is minimized
+  assert.ok(code.split('\n').length < 5, code)
+  // every map filled, placeholders are only left in comments
+  assert.ok(!/[{,]"?__WEBPACK_UPLOAD_PLUGIN_\w+__"?:/.test(code), code)
+  const { window, appended } = runInBrowser(code)
+  window.loadLazy().catch(() => {})
+  window.loadOther().catch(() => {})
+  assert.deepStrictEqual(
+    appended.map((element) => element.src || element.href).sort(),
+    [
+      'https://a.cdn/lazy.chunk.css',
+      `https://a.cdn/${assetOf(stats, /^lazy\..+\.js$/)}`,
+      `https://a.cdn/${assetOf(stats, /^other\..+\.js$/)}`,
+    ].sort()
+  )
+  const html = read(path.join(outputPath, 'index.html'))
+  assert.ok(html.includes(`src="https://a.cdn/${main}"`), html)
+})
+
+test('minimized webpack@4 runtime sets integrity of chunks', async () => {
+  const { outputPath, stats } = await buildMinimized('minimize-sri', {
+    sri: true,
+  })
+  const main = assetOf(stats, /^main\..+\.js$/)
+  const { window, appended } = runInBrowser(read(path.join(outputPath, main)))
+  window.loadLazy().catch(() => {})
+  assert.strictEqual(appended.length, 2)
+  appended.forEach((element) => {
+    assert.ok(/^sha384-/.test(element.integrity), element.integrity)
+    assert.strictEqual(element.crossOrigin, 'anonymous')
+  })
+})
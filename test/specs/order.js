@@ -0,0 +1,91 @@
+const assert = require('assert')
+const path = require('path')
+const fse = require('fs-extra')
+const { uploadDirectory } = require('../..')
+const { test, tmpDir, createCdn, read } = require('../helpers')
+const { sortByLevel } = require('../../util/graph')
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'cycle')
+
+// what each file refers to, theme.css and loader.js refer to each other
+const REFERENCES = {
+  'font.woff': [],
+  'bg.png': [],
+  'base.css': ['font.woff'],
+  'theme.css': ['base.css', 'bg.png', 'loader.js'],
+  'loader.js': ['theme.css'],
+  'main.js': ['loader.js'],
+}
+const CYCLE = ['loader.js', 'theme.css']
+
+/**
+ * copy of the fixture, uploadDirectory rewrites files in place
+ * @param {string} name
+ * @return {{root: string, cdn: object}}
+ */
+function prepare(name) {
+  const root = tmpDir(name)
+  fse.copySync(FIXTURE, root)
+  return { root, cdn: createCdn(root) }
+}
+
+test('files are uploaded after what they refer to, cycles share a level', async () => {
+  const { root, cdn } = prepare('order')
+  await uploadDirectory({ root, cdn, enableCache: false })
+  // index of the upload call, one for each level
+  const levelOf = (name) =>
+    cdn.calls.findIndex(([files]) => files.includes(path.join(root, name)))
+  Object.keys(REFERENCES).forEach((name) => {
+    assert.notStrictEqual(levelOf(name), -1, `${name} uploaded`)
+    REFERENCES[name]
+      .filter((dep) => !(CYCLE.includes(name) && CYCLE.includes(dep)))
+      .forEach((dep) =>
+        assert.ok(levelOf(name) > levelOf(dep), `${name} after ${dep}`)
+      )
+  })
+  assert.strictEqual(levelOf('theme.css'), levelOf('loader.js'))
+  assert.strictEqual(cdn.calls.length, 4)
+  // urls of former levels are in, references within the cycle stay local
+  const theme = read(path.join(root, 'theme.css'))
+  assert.ok(theme.includes('url(https://a.cdn/base.css)'), theme)
+  assert.ok(theme.includes('url(https://a.cdn/bg.png)'), theme)
+  assert.ok(theme.includes('url(loader.js)'), theme)
+  assert.ok(read(path.join(root, 'loader.js')).includes("'theme.css'"))
+  assert.ok(
+    read(path.join(root, 'main.js')).includes("'https://a.cdn/loader.js'")
+  )
+})
+
+test('cycles are reported, not failing the run with failOnError', async () => {
+  const { root, cdn } = prepare('order-cycle')
+  let report
+  await uploadDirectory({
+    root,
+    cdn,
+    enableCache: false,
+    failOnError: true,
+    onFinish: (stats) => (report = stats),
+  })
+  assert.deepStrictEqual(
+    report.cycles.map((cycle) => cycle.sort()),
+    [CYCLE]
+  )
+  assert.strictEqual(cdn.calls.length, 4)
+})
+
+test('long reference chains are sorted without recursion', () => {
+  const length = 100000
+  const nodes = Array.from({ length }, (_, i) => `${i}.js`)
+  // each file refers to the one before, the first one to the last
+  const graph = new Map(
+    nodes.map((node, i) => [node, [nodes[(i || length) - 1]]])
+  )
+  const cycle = sortByLevel(graph)
+  assert.strictEqual(cycle.levels.length, 1)
+  assert.strictEqual(cycle.cycles[0].length, length)
+  graph.set(nodes[0], [])
+  const chain = sortByLevel(graph)
+  assert.strictEqual(chain.levels.length, length)
+  assert.deepStrictEqual(chain.levels[length - 1], [nodes[length - 1]])
+  assert.deepStrictEqual(chain.cycles, [])
+})
@@ -0,0 +1,123 @@
+const assert = require('assert')
+const path = require('path')
+const { uploadDirectory } = require('../..')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  writeFiles,
+} = require('../helpers')
+
+test('preciseRewrite replaces plain template literals, reports unresolved', async () => {
+  const root = tmpDir('precise')
+  writeFiles(root, {
+    'img/a.png': 'a',
+    'img/b.png': 'b',
+    'app.js': [
+      'var plain = `img/a.png`',
+      'var dynamic = `${window.base}/img/b.png`',
+      "var missing = 'img/missing.png'",
+    ].join('\n'),
+  })
+  const cdn = createCdn(root)
+  let report
+  await uploadDirectory({
+    root,
+    cdn,
+    enableCache: false,
+    preciseRewrite: true,
+    onFinish: (stats) => (report = stats),
+  })
+  const app = read(path.join(root, 'app.js'))
+  assert.ok(app.includes('var plain = `https://a.cdn/img/a.png`'), app)
+  assert.ok(app.includes('var dynamic = `${window.base}/img/b.png`'), app)
+  assert.ok(app.includes("var missing = 'img/missing.png'"), app)
+  assert.deepStrictEqual(report.unresolved, { 'app.js': ['img/missing.png'] })
+})
+
+test('preciseRewrite falls back to RegExp for files it cannot parse', async () => {
+  const root = tmpDir('precise-fallback')
+  writeFiles(root, {
+    'img/c.png': 'c',
+    'broken.js': "var c = 'img/c.png'\nvar d = 'not closed",
+  })
+  const cdn = createCdn(root)
+  let report
+  await uploadDirectory({
+    root,
+    cdn,
+    enableCache: false,
+    preciseRewrite: true,
+    failOnError: true,
+    onFinish: (stats) => (report = stats),
+  })
+  const broken = read(path.join(root, 'broken.js'))
+  assert.ok(broken.includes("var c = 'https://a.cdn/img/c.png'"), broken)
+  // uploaded after what it refers to
+  assert.deepStrictEqual(
+    cdn.calls.map(([files]) => files.map((file) => path.relative(root, file))),
+    [['img/c.png'], ['broken.js']]
+  )
+  assert.deepStrictEqual(report.unresolved, {})
+})
+
+test('preciseRewrite parses ES2021', async () => {
+  const root = tmpDir('precise-es2021')
+  writeFiles(root, {
+    'img/a.png': 'a',
+    'app.js': [
+      'var count = 1_000',
+      "window.icon ??= 'img/a.png'",
+      "var missing = 'img/missing.png'",
+    ].join('\n'),
+  })
+  let report
+  await uploadDirectory({
+    root,
+    cdn: createCdn(root),
+    enableCache: false,
+    preciseRewrite: true,
+    onFinish: (stats) => (report = stats),
+  })
+  const app = read(path.join(root, 'app.js'))
+  assert.ok(app.includes("window.icon ??= 'https://a.cdn/img/a.png'"), app)
+  // not by RegExp, which reports nothing
+  assert.deepStrictEqual(report.unresolved, { 'app.js': ['img/missing.png'] })
+})
+
+test('preciseRewrite reports nothing unresolved for a webpack build', async () => {
+  const outputPath = tmpDir('precise-build')
+  let report
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn: createCdn(outputPath),
+      plugin: { preciseRewrite: true, onFinish: (r) => (report = r) },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  assert.deepStrictEqual(report.unresolved, {})
+  const html = read(path.join(outputPath, 'index.html'))
+  assert.ok(/src="https:\/\/a\.cdn\/main\.[0-9a-f]{6}\.js"/.test(html), html)
+})
+
+test('unresolved references are not reported without preciseRewrite', async () => {
+  const root = tmpDir('precise-regexp')
+  writeFiles(root, {
+    'img/a.png': 'a',
+    'app.js': "var a = 'img/a.png'\nvar missing = 'img/missing.png'",
+  })
+  let report
+  await uploadDirectory({
+    root,
+    cdn: createCdn(root),
+    enableCache: false,
+    onFinish: (stats) => (report = stats),
+  })
+  assert.ok(read(path.join(root, 'app.js')).includes('https://a.cdn/img/a.png'))
+  assert.deepStrictEqual(report.unresolved, {})
+})
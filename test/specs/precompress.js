@@ -0,0 +1,81 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { uploadDirectory } = require('../..')
+const { test, tmpDir, createCdn, read, writeFiles } = require('../helpers')
+
+const BIG = 'x'.repeat(2000)
+
+test('precompress uploads .gz/.br variants of final content above threshold', async () => {
+  const root = tmpDir('precompress')
+  writeFiles(root, {
+    'big.js': `var big = "${BIG}"`,
+    'big.css': `.big{content:"${BIG}"}`,
+    'big.png': BIG,
+    'small.js': 'var small = 1',
+  })
+  const cdn = createCdn(root)
+  await uploadDirectory({
+    root,
+    cdn,
+    enableCache: false,
+    precompress: true,
+    emitManifest: true,
+    beforeUpload: (content, location) =>
+      location.endsWith('.js') ? `${content}\n// uploaded` : content,
+  })
+  const file = (name) => path.join(root, name)
+  const bigJs = fs.readFileSync(file('big.js'))
+  assert.ok(`${bigJs}`.endsWith('// uploaded'))
+  assert.deepStrictEqual(
+    zlib.gunzipSync(fs.readFileSync(file('big.js.gz'))),
+    bigJs
+  )
+  assert.deepStrictEqual(
+    zlib.brotliDecompressSync(fs.readFileSync(file('big.js.br'))),
+    bigJs
+  )
+  assert.ok(fs.existsSync(file('big.css.gz')))
+  // too small, or not a type to compress
+  ;['small.js.gz', 'small.js.br', 'big.png.gz', 'big.png.br'].forEach((name) =>
+    assert.ok(!fs.existsSync(file(name)), name)
+  )
+  assert.deepStrictEqual(
+    cdn.uploaded.filter((name) => /\.(gz|br)$/.test(name)).sort(),
+    ['big.css.br', 'big.css.gz', 'big.js.br', 'big.js.gz'].map(file)
+  )
+  const manifest = JSON.parse(read(file('upload-manifest.json')))
+  assert.deepStrictEqual(manifest['big.js'].variants, {
+    gzip: 'https://a.cdn/big.js.gz',
+    brotli: 'https://a.cdn/big.js.br',
+  })
+  assert.strictEqual(manifest['small.js'].variants, undefined)
+  assert.ok(!Object.keys(manifest).some((name) => /\.(gz|br)$/.test(name)))
+})
+
+test('precompress takes algorithms, threshold and types', async () => {
+  const root = tmpDir('precompress-option')
+  writeFiles(root, { 'a.js': 'var a = 1', 'a.txt': 'text' })
+  const cdn = createCdn(root)
+  await uploadDirectory({
+    root,
+    cdn,
+    enableCache: false,
+    types: { js: ['js'], text: ['txt'] },
+    precompress: { algorithms: ['gzip'], threshold: 0, types: ['txt'] },
+  })
+  assert.deepStrictEqual(
+    cdn.uploaded.filter((name) => /\.(gz|br)$/.test(name)),
+    [path.join(root, 'a.txt.gz')]
+  )
+  await assert.rejects(
+    uploadDirectory({
+      root,
+      cdn,
+      enableCache: false,
+      precompress: { algorithms: ['zstd'] },
+    }),
+    /precompress algorithms should be gzip or brotli, got zstd/
+  )
+})
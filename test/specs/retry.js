@@ -0,0 +1,153 @@
+const assert = require('assert')
+const path = require('path')
+const webpack5 = require('webpack5')
+const UploadPlugin = require('../..')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  writeFiles,
+  runInBrowser,
+} = require('../helpers')
+
+const PAGE = 'https://example.com/app/static/'
+
+/**
+ * urls a webpack@5 lazy chunk with publicPath 'auto' is loaded from, failing each time
+ * @param {string} name
+ * @param {object} plugin options of UploadPlugin
+ * @return {Promise<{urls: string[], chunk: string}>}
+ */
+async function loadFailingChunk(name, plugin) {
+  const root = tmpDir(name)
+  writeFiles(root, {
+    'src/index.js': 'window.load = () => import("./lazy")',
+    'src/lazy.js': 'export default "lazy"',
+  })
+  const outputPath = path.join(root, 'dist')
+  const cdn = createCdn(outputPath)
+  const stats = await build(
+    {
+      mode: 'none',
+      context: root,
+      entry: './src/index.js',
+      output: {
+        path: outputPath,
+        filename: 'main.[contenthash:6].js',
+        chunkFilename: '[name].[contenthash:6].js',
+        publicPath: 'auto',
+      },
+      plugins: [
+        new UploadPlugin(
+          cdn,
+          Object.assign(
+            {
+              enableCache: false,
+              retry: { times: 1, delay: 0, fallback: 'local', event: false },
+            },
+            plugin
+          )
+        ),
+      ],
+    },
+    webpack5
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const { assets } = stats.toJson({ all: false, assets: true })
+  const main = assets.find((asset) => asset.name.startsWith('main.')).name
+  const chunk = assets.find((asset) => !asset.name.startsWith('main.')).name
+  const { window, appended } = runInBrowser(
+    read(path.join(outputPath, main)),
+    `${PAGE}${main}`
+  )
+  const loading = window.load().catch(() => {})
+  // fail every attempt
+  for (let i = 0; i < 2; i++) {
+    await new Promise((resolve) => setImmediate(resolve))
+    const script = appended[i]
+    script && script.onerror({ type: 'error', target: script })
+  }
+  await loading
+  return { urls: appended.map((element) => element.src), chunk }
+}
+
+test("'local' fallback with publicPath 'auto' loads from where the entry is", async () => {
+  const { urls, chunk } = await loadFailingChunk('retry-auto', {})
+  assert.deepStrictEqual(urls, [`https://a.cdn/${chunk}`, `${PAGE}${chunk}`])
+})
+
+test("'local' fallback keeps the public path replaced by runtimePublicPath", async () => {
+  const { urls, chunk } = await loadFailingChunk('retry-auto-runtime', {
+    runtimePublicPath: 'https://b.cdn/',
+  })
+  assert.deepStrictEqual(urls, [`https://a.cdn/${chunk}`, `${PAGE}${chunk}`])
+})
+
+/**
+ * build the fixture app to two targets
+ * @param {string} name
+ * @param {object} plugin options of UploadPlugin
+ * @return {Promise<{outputPath: string, primary: object, mirror: object, code: string}>} code of main bundle
+ */
+async function buildToMirrors(name, plugin) {
+  const outputPath = tmpDir(name)
+  const primary = createCdn(outputPath)
+  const mirror = createCdn(outputPath, 'https://b.cdn/')
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn: { primary, mirror },
+      plugin,
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const { assets } = stats.toJson({ all: false, assets: true })
+  const main = assets.find((asset) => /^main\..+\.js$/.test(asset.name))
+  return {
+    outputPath,
+    primary,
+    mirror,
+    code: read(path.join(outputPath, main.name)),
+  }
+}
+
+test('files reach every target, runtime falls back to mirrors with retry', async () => {
+  const { outputPath, primary, mirror, code } = await buildToMirrors(
+    'retry-mirrors',
+    {
+      retry: { times: 1, delay: 0, fallback: false, event: false },
+    }
+  )
+  assert.ok(primary.uploaded.length)
+  assert.deepStrictEqual(mirror.uploaded.sort(), primary.uploaded.sort())
+  const jsFallback = code.match(
+    /\/\*__WEBPACK_UPLOAD_PLUGIN_JS_FALLBACK__\*\/(\{[^}]*\})/
+  )
+  const urls = JSON.parse(jsFallback[1])
+  assert.deepStrictEqual(
+    Object.keys(urls).map((id) => urls[id].replace(/[0-9a-f]{6}/, 'hash')),
+    ['https://b.cdn/lazy.hash.js', 'https://b.cdn/other.hash.js']
+  )
+  const cssFallback = code.match(
+    /\/\*__WEBPACK_UPLOAD_PLUGIN_CSS_FALLBACK__\*\/(\{[^}]*\})/
+  )
+  assert.deepStrictEqual(Object.values(JSON.parse(cssFallback[1])), [
+    'https://b.cdn/lazy.chunk.css',
+  ])
+  // templates fall back to mirrors by themselves
+  const html = read(path.join(outputPath, 'index.html'))
+  assert.ok(html.includes('https://b.cdn/main.css'), html)
+})
+
+test('mirrors add nothing to webpack runtime without retry', async () => {
+  const { primary, mirror, code } = await buildToMirrors(
+    'retry-mirrors-off',
+    {}
+  )
+  assert.deepStrictEqual(mirror.uploaded.sort(), primary.uploaded.sort())
+  assert.ok(!/FALLBACK|uploadAttempts/.test(code))
+})
@@ -0,0 +1,67 @@
+const assert = require('assert')
+const path = require('path')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+} = require('../helpers')
+const { RUNTIME_MAP, fillPlaceholder } = require('../../util/runtime')
+
+const PLACEHOLDER = /__WEBPACK_UPLOAD_PLUGIN_\w+__/g
+
+test('filled runtime maps keep no placeholder key, and can be filled again', () => {
+  const name = RUNTIME_MAP.jsUrl
+  const code = `var uploadUrl = {${JSON.stringify(name)}:1}[chunkId];`
+  const filled = fillPlaceholder(code, name, { 1: 'https://a.cdn/1.js' })
+  assert.strictEqual(
+    filled,
+    `var uploadUrl = /*${name}*/{"1":"https://a.cdn/1.js"}[chunkId];`
+  )
+  assert.strictEqual(
+    fillPlaceholder(filled, name, { 2: 'https://b.cdn/2.js' }),
+    `var uploadUrl = /*${name}*/{"2":"https://b.cdn/2.js"}[chunkId];`
+  )
+  // minified placeholder
+  assert.strictEqual(
+    fillPlaceholder(`{${name}:!0}[e]`, name, {}),
+    `/*${name}*/{}[e]`
+  )
+})
+
+test('runtime injected into webpack@4 follows its indentation', async () => {
+  const outputPath = tmpDir('runtime')
+  const cdn = createCdn(outputPath)
+  const stats = await build(
+    createConfig({ fixture: 'app', outputPath, cdn, plugin: { retry: true } })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const { assets } = stats.toJson({ all: false, assets: true })
+  const main = assets.find((asset) => /^main\..+\.js$/.test(asset.name))
+  const code = read(path.join(outputPath, main.name))
+  // only in comments marking the maps
+  const names = code.match(PLACEHOLDER)
+  assert.ok(names.length)
+  assert.strictEqual(
+    code.match(/\/\*__WEBPACK_UPLOAD_PLUGIN_\w+__\*\//g).length,
+    names.length
+  )
+  const jsUrls = code.match(
+    /\/\*__WEBPACK_UPLOAD_PLUGIN_JS_URL__\*\/(\{[^}]*\})/
+  )
+  const urls = JSON.parse(jsUrls[1])
+  assert.deepStrictEqual(
+    Object.keys(urls).map((id) => urls[id].replace(/[0-9a-f]{6}/, 'hash')),
+    ['https://a.cdn/lazy.hash.js', 'https://a.cdn/other.hash.js']
+  )
+  // without /******/ in front of runtime lines
+  const lines = code.split('\n').map((line) => line.replace(/^\/\*+\/ /, ''))
+  const indentOf = (line) => line.match(/^[ \t]*/)[0]
+  ;[/script\.src = /, /linkTag\.href = /].forEach((exp) => {
+    const index = lines.findIndex((line) => exp.test(line))
+    assert.ok(/^\s*var uploadUrl = /.test(lines[index + 1]), lines[index + 1])
+    assert.strictEqual(indentOf(lines[index + 1]), indentOf(lines[index]))
+  })
+})
@@ -0,0 +1,154 @@
+const assert = require('assert')
+const http = require('http')
+const path = require('path')
+const { URL } = require('url')
+const md5 = require('md5')
+const { test, tmpDir, writeFiles } = require('../helpers')
+const { s3, signV4 } = require('../../util/adapters/s3')
+
+const credentials = { accessKeyId: 'key', secretAccessKey: 'secret' }
+
+/**
+ * S3 stand-in checking signatures like MinIO does
+ * @param {function(string): number} getStatus status for the object key
+ * @return {Promise<{server: http.Server, endpoint: string, objects: object}>}
+ */
+function createS3Mock(getStatus) {
+  const objects = {}
+  const server = http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      const url = new URL(req.url, `http://${req.headers.host}`)
+      const amzDate = req.headers['x-amz-date']
+      const date = new Date(
+        amzDate.replace(
+          /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+          '$1-$2-$3T$4:$5:$6Z'
+        )
+      )
+      const signed = req.headers.authorization
+        .match(/SignedHeaders=([^,]+)/)[1]
+        .split(';')
+        .filter((name) => !['host', 'x-amz-date'].includes(name))
+      const expected = signV4({
+        method: req.method,
+        url,
+        headers: signed
+          .filter((name) => name !== 'x-amz-content-sha256')
+          .reduce(
+            (last, name) => Object.assign(last, { [name]: req.headers[name] }),
+            {}
+          ),
+        payloadHash: req.headers['x-amz-content-sha256'],
+        region: 'us-east-1',
+        credentials,
+        date,
+      })
+      if (expected.authorization !== req.headers.authorization) {
+        res.statusCode = 403
+        return res.end('SignatureDoesNotMatch')
+      }
+      const key = url.pathname.replace(/^\/bucket\//, '')
+      res.statusCode = getStatus(key)
+      if (res.statusCode === 200) {
+        objects[key] = {
+          body: Buffer.concat(chunks).toString(),
+          contentType: req.headers['content-type'],
+          cacheControl: req.headers['cache-control'],
+        }
+      }
+      res.end()
+    })
+  })
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () =>
+      resolve({
+        server,
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+      })
+    )
+  )
+}
+
+test('s3 adapter signs requests and keeps urls of files uploaded', async () => {
+  const root = tmpDir('s3')
+  writeFiles(root, {
+    'a.js': 'console.log("a")',
+    'b.css': 'body{}',
+    'denied.png': 'png',
+  })
+  let flaky = 1
+  const { server, endpoint, objects } = await createS3Mock((key) => {
+    if (key.startsWith('denied')) return 403
+    // fails once, then succeeds
+    if (key.startsWith('b') && flaky-- > 0) return 503
+    return 200
+  })
+  const failures = []
+  const retried = []
+  try {
+    const cdn = s3({
+      bucket: 'bucket',
+      endpoint,
+      credentials,
+      region: 'us-east-1',
+      retryDelay: 1,
+      onFailed: (failed) => failures.push(...failed),
+    })
+    const files = ['a.js', 'b.css', 'denied.png'].map((file) =>
+      path.join(root, file)
+    )
+    const res = await cdn.upload(files, undefined, undefined, undefined, {
+      onRetry: (file) => retried.push(path.basename(file)),
+    })
+    assert.deepStrictEqual(Object.keys(res).sort(), files.slice(0, 2))
+    assert.ok(/\/bucket\/a\.[0-9a-f]{8}\.js$/.test(res[files[0]]))
+    const keys = Object.keys(objects).sort()
+    assert.strictEqual(keys.length, 2)
+    assert.strictEqual(objects[keys[0]].body, 'console.log("a")')
+    assert.ok(/^application\/javascript/.test(objects[keys[0]].contentType))
+    assert.deepStrictEqual(retried, ['b.css'])
+    assert.deepStrictEqual(
+      failures.map(({ file }) => path.basename(file)),
+      ['denied.png']
+    )
+  } finally {
+    server.close()
+  }
+})
+
+test('s3 adapter caches objects forever only when the key carries a hash', async () => {
+  const root = tmpDir('s3-cache-control')
+  writeFiles(root, { 'a.js': 'a', 'b.js': 'b', 'c.js': 'c', 'index.html': '' })
+  const { server, endpoint, objects } = await createS3Mock(() => 200)
+  try {
+    const cdn = s3({ bucket: 'bucket', endpoint, credentials, retryDelay: 1 })
+    const [a, b, c, html] = ['a.js', 'b.js', 'c.js', 'index.html'].map((file) =>
+      path.join(root, file)
+    )
+    // keys from keyTemplate, with and without [contenthash]
+    await cdn.upload([a, b, html], undefined, undefined, {
+      [a]: `proj/a.${md5('a').slice(0, 8)}.js`,
+      [b]: 'proj/b.js',
+      [html]: 'proj/index.html',
+    })
+    await cdn.upload([c])
+    const cacheControlOf = (key) => objects[key].cacheControl
+    assert.strictEqual(
+      cacheControlOf(`proj/a.${md5('a').slice(0, 8)}.js`),
+      'public, max-age=31536000, immutable'
+    )
+    assert.strictEqual(cacheControlOf('proj/b.js'), 'no-cache')
+    assert.strictEqual(cacheControlOf('proj/index.html'), 'no-cache')
+    // default key
+    const key = Object.keys(objects).find((name) => /^c\./.test(name))
+    assert.strictEqual(
+      cacheControlOf(key),
+      'public, max-age=31536000, immutable'
+    )
+  } finally {
+    server.close()
+  }
+})
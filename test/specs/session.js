@@ -0,0 +1,143 @@
+const assert = require('assert')
+const path = require('path')
+const HtmlWebpackPlugin = require('html-webpack-plugin')
+const UploadPlugin = require('../..')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  writeFiles,
+} = require('../helpers')
+
+/**
+ * webpack@4 config of a compiler with one template referring to main.css
+ * @param {string} root
+ * @param {string} outputPath
+ * @param {object} plugin options of UploadPlugin
+ * @param {object} cdn
+ * @return {object}
+ */
+function createSsrConfig(root, outputPath, plugin, cdn) {
+  writeFiles(root, { 'src/server.js': 'module.exports = "server"' })
+  return {
+    mode: 'none',
+    context: root,
+    entry: './src/server.js',
+    output: { path: outputPath, filename: 'server.[contenthash:6].js' },
+    plugins: [
+      new HtmlWebpackPlugin({
+        filename: 'server.html',
+        templateContent: '<link rel="stylesheet" href="main.css">',
+        inject: false,
+      }),
+      new UploadPlugin(cdn, Object.assign({ enableCache: false }, plugin)),
+    ],
+  }
+}
+
+test('compilers sharing a session upload the same content once', async () => {
+  const root = tmpDir('session')
+  const cdn = createCdn(root)
+  const session = UploadPlugin.createSession()
+  const stats = await build(
+    ['client', 'copy'].map((name) =>
+      createConfig({
+        fixture: 'app',
+        outputPath: path.join(root, name),
+        cdn,
+        plugin: { session },
+      })
+    )
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const names = cdn.uploaded.map((file) => path.basename(file))
+  assert.ok(names.includes('main.css'), names.join())
+  assert.deepStrictEqual(names, Array.from(new Set(names)))
+  // the copy gets urls of files uploaded by the client, and the other way round
+  const cssUrl = session.getMap()[path.join(root, 'copy', 'main.css')]
+  assert.strictEqual(
+    session.getMap()[path.join(root, 'client', 'main.css')],
+    cssUrl
+  )
+  ;['client', 'copy'].forEach((name) => {
+    const html = read(path.join(root, name, 'index.html'))
+    assert.ok(html.includes(`href="${cssUrl}"`), html)
+  })
+})
+
+test("a template is rewritten with urls of the other compiler's files", async () => {
+  const root = tmpDir('session-template')
+  const outputPath = path.join(root, 'dist')
+  const cdn = createCdn(outputPath)
+  const session = UploadPlugin.createSession()
+  const stats = await build([
+    createConfig({ fixture: 'app', outputPath, cdn, plugin: { session } }),
+    createSsrConfig(root, outputPath, { session }, cdn),
+  ])
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const html = read(path.join(outputPath, 'server.html'))
+  assert.ok(html.includes('href="https://a.cdn/main.css"'), html)
+  // it's not uploaded by the compiler of the template
+  assert.strictEqual(
+    cdn.calls.filter(([files]) =>
+      files.includes(path.join(outputPath, 'main.css'))
+    ).length,
+    1
+  )
+})
+
+test('a compiler failing to compile leaves the session, others finish', async () => {
+  const root = tmpDir('session-fail')
+  const outputPath = path.join(root, 'dist')
+  const cdn = createCdn(outputPath)
+  const session = UploadPlugin.createSession()
+  // members calling finish and leave
+  const finished = []
+  const left = []
+  const { finish, leave } = session
+  session.finish = (member, pairs) => {
+    finished.push(member)
+    return finish(member, pairs)
+  }
+  session.leave = (member) => {
+    left.push(member)
+    leave(member)
+  }
+  const failing = createSsrConfig(root, outputPath, { session }, cdn)
+  failing.plugins.push({
+    apply: (compiler) =>
+      compiler.hooks.make.tapAsync('Fail', (compilation, callback) =>
+        callback(new Error('failed to compile'))
+      ),
+  })
+  let timer
+  const deadlock = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('session never finished')), 30000)
+  })
+  try {
+    const [stats, failed] = await Promise.race([
+      Promise.all([
+        build(
+          createConfig({ fixture: 'app', outputPath, cdn, plugin: { session } })
+        ),
+        build(failing).then(
+          () => null,
+          (e) => e
+        ),
+      ]),
+      deadlock,
+    ])
+    assert.ok(!stats.hasErrors(), stats.toString())
+    assert.ok(failed && /failed to compile/.test(failed.message))
+  } finally {
+    clearTimeout(timer)
+  }
+  // the failing one leaves without finishing
+  assert.strictEqual(finished.length, 1)
+  assert.ok(left.some((member) => !finished.includes(member)))
+  const html = read(path.join(outputPath, 'index.html'))
+  assert.ok(html.includes('href="https://a.cdn/main.css"'), html)
+})
@@ -0,0 +1,18 @@
+const assert = require('assert')
+const { test } = require('../helpers')
+const { createPipeline } = require('../../util/pipeline')
+
+const cdn = { upload: () => Promise.resolve({}) }
+const env = { context: __dirname, outputPath: __dirname, getCacheStore() {} }
+
+test('hidden source maps need a cdn of their own', () => {
+  assert.throws(
+    () => createPipeline(cdn, { sourceMaps: 'hidden' }, env),
+    /needs a cdn of its own/
+  )
+  assert.throws(
+    () => createPipeline(cdn, { sourceMaps: { mode: 'hidden' } }, env),
+    /needs a cdn of its own/
+  )
+  createPipeline(cdn, { sourceMaps: { mode: 'hidden', cdn } }, env)
+})
@@ -0,0 +1,112 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+  runInBrowser,
+} = require('../helpers')
+const { addIntegrityToTags } = require('../../util/sri')
+
+/**
+ * @param {string} file
+ * @param {string} algorithm
+ * @return {string}
+ */
+const integrityOf = (file, algorithm) =>
+  `${algorithm}-${crypto
+    .createHash(algorithm)
+    .update(fs.readFileSync(file))
+    .digest('base64')}`
+
+test('sri covers template tags and chunks loaded by the runtime', async () => {
+  const outputPath = tmpDir('sri')
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn: createCdn(outputPath),
+      plugin: {
+        sri: true,
+        // hashed after it
+        beforeUpload: (content, location) =>
+          location.endsWith('.css') ? `/* uploaded */${content}` : content,
+      },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const html = read(path.join(outputPath, 'index.html'))
+  const cssIntegrity = integrityOf(path.join(outputPath, 'main.css'), 'sha384')
+  assert.ok(
+    html.includes(
+      `href="https://a.cdn/main.css" rel="stylesheet" integrity="${cssIntegrity}" crossorigin="anonymous"`
+    ),
+    html
+  )
+  const { assets } = stats.toJson({ all: false, assets: true })
+  const nameOf = (exp) => assets.find(({ name }) => exp.test(name)).name
+  const main = nameOf(/^main\..+\.js$/)
+  const mainIntegrity = integrityOf(path.join(outputPath, main), 'sha384')
+  assert.ok(
+    html.includes(
+      `src="https://a.cdn/${main}" integrity="${mainIntegrity}" crossorigin="anonymous"`
+    ),
+    html
+  )
+  const { window, appended } = runInBrowser(read(path.join(outputPath, main)))
+  window.loadLazy().catch(() => {})
+  const script = appended.find((element) => element.src)
+  const link = appended.find((element) => element.href)
+  assert.strictEqual(
+    script.integrity,
+    integrityOf(path.join(outputPath, nameOf(/^lazy\..+\.js$/)), 'sha384')
+  )
+  assert.strictEqual(script.crossOrigin, 'anonymous')
+  assert.strictEqual(
+    link.integrity,
+    integrityOf(path.join(outputPath, 'lazy.chunk.css'), 'sha384')
+  )
+})
+
+test('sri takes the algorithm given', async () => {
+  const outputPath = tmpDir('sri-sha256')
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn: createCdn(outputPath),
+      plugin: { sri: 'sha256' },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const html = read(path.join(outputPath, 'index.html'))
+  const integrity = integrityOf(path.join(outputPath, 'main.css'), 'sha256')
+  assert.ok(html.includes(`integrity="${integrity}"`), html)
+})
+
+test('sri leaves tags with integrity, unknown urls and other links alone', () => {
+  const urlIntegrity = {
+    'https://a.cdn/a.js': 'sha384-a',
+    'https://a.cdn/a.css': 'sha384-b',
+  }
+  const tags = [
+    '<script src="https://a.cdn/a.js" integrity="sha384-old"></script>',
+    '<script src="https://b.cdn/b.js"></script>',
+    '<link rel="icon" href="https://a.cdn/a.css">',
+    '<link rel="stylesheet" href="https://a.cdn/a.css" crossorigin="use-credentials" />',
+  ]
+  assert.deepStrictEqual(
+    addIntegrityToTags(tags.join('\n'), urlIntegrity).split('\n'),
+    [
+      tags[0],
+      tags[1],
+      tags[2],
+      '<link rel="stylesheet" href="https://a.cdn/a.css" crossorigin="use-credentials" integrity="sha384-b"/>',
+    ]
+  )
+})
@@ -0,0 +1,132 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const fse = require('fs-extra')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+} = require('../helpers')
+
+/**
+ * cdn rejecting the upload of entry files
+ * @param {string} root
+ * @return {object}
+ */
+function createFailingCdn(root) {
+  const cdn = createCdn(root)
+  const { upload } = cdn
+  cdn.upload = (files, ...rest) =>
+    files.some((file) => /main\..+\.js$/.test(file))
+      ? Promise.reject(new Error('cdn is down'))
+      : upload(files, ...rest)
+  return cdn
+}
+
+/**
+ * content of every file under root
+ * @param {string} root
+ * @return {{[file: string]: string}}
+ */
+const readAll = (root) =>
+  fs
+    .readdirSync(root)
+    .filter((name) => fs.statSync(path.join(root, name)).isFile())
+    .reduce(
+      (last, name) =>
+        Object.assign(last, { [name]: read(path.join(root, name)) }),
+      {}
+    )
+
+/**
+ * build the app, failing when its entry is uploaded
+ * @param {string} name
+ * @param {object} plugin options of UploadPlugin
+ * @return {Promise<{outputPath: string, report: object}>}
+ */
+async function buildFailing(name, plugin) {
+  const outputPath = tmpDir(name)
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn: createFailingCdn(outputPath),
+      plugin: Object.assign(
+        {
+          // css gets changed before uploading, in level 1
+          beforeUpload: (content, location) =>
+            location.endsWith('.css') ? `/* uploaded */${content}` : content,
+          emitReport: true,
+          onError: () => {},
+        },
+        plugin
+      ),
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const reportFile = path.join(outputPath, 'upload-report.json')
+  const report = JSON.parse(read(reportFile))
+  fse.removeSync(reportFile)
+  return { outputPath, report }
+}
+
+test('transactional restores files changed before the phase that failed', async () => {
+  // nothing written by a dry run
+  const raw = tmpDir('transaction-raw')
+  await build(
+    createConfig({
+      fixture: 'app',
+      outputPath: raw,
+      cdn: createCdn(raw),
+      plugin: { dryRun: true },
+    })
+  )
+  const { outputPath, report } = await buildFailing('transaction', {
+    transactional: true,
+  })
+  assert.strictEqual(report.status, 'failed')
+  assert.strictEqual(report.error.phase, 'level 2')
+  assert.deepStrictEqual(readAll(outputPath), readAll(raw))
+  // without it, files are left half done
+  const { outputPath: halfDone } = await buildFailing('transaction-off', {
+    transactional: false,
+  })
+  assert.ok(read(path.join(halfDone, 'main.css')).startsWith('/* uploaded */'))
+  const main = Object.keys(readAll(halfDone)).find((name) =>
+    /^main\..+\.js$/.test(name)
+  )
+  assert.ok(read(path.join(halfDone, main)).includes('https://a.cdn/lazy.'))
+})
+
+test('transactional removes templates it created when a later phase fails', async () => {
+  const root = tmpDir('transaction-templates')
+  const outputPath = path.join(root, 'dist')
+  const dist = path.join(root, 'templates')
+  // the manifest can't be written over a directory
+  fse.ensureDirSync(path.join(outputPath, 'upload-manifest.json'))
+  const errors = []
+  const stats = await build(
+    createConfig({
+      fixture: 'app',
+      outputPath,
+      cdn: createCdn(outputPath),
+      plugin: {
+        src: outputPath,
+        dist,
+        transactional: true,
+        emitManifest: true,
+        onError: (e) => errors.push(e),
+      },
+    })
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  assert.strictEqual(errors.length, 1)
+  assert.ok(!fs.existsSync(path.join(dist, 'index.html')))
+  assert.ok(
+    read(path.join(outputPath, 'index.html')).includes('href="main.css"')
+  )
+  assert.ok(!read(path.join(outputPath, 'main.css')).includes('a.cdn'))
+})
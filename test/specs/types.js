@@ -0,0 +1,107 @@
+const assert = require('assert')
+const path = require('path')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  createConfig,
+  build,
+  read,
+} = require('../helpers')
+
+// emitted next to the bundle, like a copy plugin would do
+const STATIC_FILES = {
+  'logo.png': 'png',
+  'scene.glb': 'glb',
+  'icon.svg': '<svg><image href="logo.png"/></svg>',
+  'app.json': '{"icons": [{"src": "logo.png"}], "scene": "scene.glb"}',
+}
+
+/**
+ * @param {{[name: string]: string}} files
+ * @return {{apply: function(object)}}
+ */
+function emitFiles(files) {
+  return {
+    apply(compiler) {
+      compiler.hooks.emit.tap('emitFiles', (compilation) => {
+        Object.keys(files).forEach((name) => {
+          compilation.assets[name] = {
+            source: () => files[name],
+            size: () => files[name].length,
+          }
+        })
+      })
+    },
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {object} plugin options of UploadPlugin
+ * @return {Promise<{outputPath: string, cdn: object}>}
+ */
+async function buildWithTypes(name, plugin) {
+  const outputPath = tmpDir(name)
+  const cdn = createCdn(outputPath)
+  const config = createConfig({ fixture: 'app', outputPath, cdn, plugin })
+  config.plugins.unshift(emitFiles(STATIC_FILES))
+  const stats = await build(config)
+  assert.ok(!stats.hasErrors(), stats.toString())
+  return { outputPath, cdn }
+}
+
+/**
+ * files of each upload call, relative to root
+ * @param {object} cdn
+ * @param {string} root
+ * @return {string[][]}
+ */
+const getCalls = (cdn, root) =>
+  cdn.calls.map(([files]) => files.map((file) => path.relative(root, file)))
+
+test('custom categories are uploaded, rewritten only when told to', async () => {
+  const { outputPath, cdn } = await buildWithTypes('types-custom', {
+    preciseRewrite: true,
+    types: {
+      img: ['svg'],
+      model: ['glb'],
+      data: { rewrite: true },
+    },
+  })
+  const uploaded = cdn.uploaded.map((file) => path.relative(outputPath, file))
+  Object.keys(STATIC_FILES).forEach((name) =>
+    assert.ok(uploaded.includes(name), `${name} uploaded`)
+  )
+  assert.deepStrictEqual(JSON.parse(read(path.join(outputPath, 'app.json'))), {
+    icons: [{ src: 'https://a.cdn/logo.png' }],
+    scene: 'https://a.cdn/scene.glb',
+  })
+  // svg moved to img, left alone
+  assert.strictEqual(
+    read(path.join(outputPath, 'icon.svg')),
+    STATIC_FILES['icon.svg']
+  )
+  const calls = getCalls(cdn, outputPath)
+  const levelOf = (name) => calls.findIndex((files) => files.includes(name))
+  assert.ok(levelOf('app.json') > levelOf('logo.png'))
+  assert.ok(levelOf('app.json') > levelOf('scene.glb'))
+  assert.strictEqual(levelOf('icon.svg'), levelOf('logo.png'))
+})
+
+test('data is uploaded but not rewritten by default', async () => {
+  const { outputPath, cdn } = await buildWithTypes('types-default', {
+    preciseRewrite: true,
+  })
+  assert.ok(cdn.uploaded.includes(path.join(outputPath, 'app.json')))
+  assert.ok(!cdn.uploaded.includes(path.join(outputPath, 'scene.glb')))
+  assert.strictEqual(
+    read(path.join(outputPath, 'app.json')),
+    STATIC_FILES['app.json']
+  )
+  // svg is rewritten by default
+  assert.strictEqual(
+    read(path.join(outputPath, 'icon.svg')),
+    '<svg><image href="https://a.cdn/logo.png"/></svg>'
+  )
+})
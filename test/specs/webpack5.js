@@ -0,0 +1,142 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const webpack5 = require('webpack5')
+const UploadPlugin = require('../..')
+const {
+  test,
+  tmpDir,
+  createCdn,
+  build,
+  read,
+  writeFiles,
+  runInBrowser,
+} = require('../helpers')
+
+test('webpack@5 chunks load from cdn through injected runtime, minimized', async () => {
+  const root = tmpDir('webpack5')
+  writeFiles(root, {
+    'src/index.js': 'window.load = () => import("./lazy")',
+    'src/lazy.js': 'export default "lazy"',
+  })
+  const outputPath = path.join(root, 'dist')
+  const cdn = createCdn(outputPath)
+  const stats = await build(
+    {
+      mode: 'production',
+      context: root,
+      entry: './src/index.js',
+      output: {
+        path: outputPath,
+        filename: 'main.[contenthash:6].js',
+        chunkFilename: '[name].[contenthash:6].js',
+        publicPath: '/static/',
+      },
+      optimization: { minimize: true },
+      plugins: [new UploadPlugin(cdn, { enableCache: false })],
+    },
+    webpack5
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const { assets } = stats.toJson({ all: false, assets: true })
+  const main = assets.find(({ name }) => name.startsWith('main.')).name
+  const chunk = assets.find(({ name }) => !name.startsWith('main.')).name
+  assert.ok(cdn.uploaded.includes(path.join(outputPath, chunk)))
+  const { window, appended } = runInBrowser(read(path.join(outputPath, main)))
+  window.load().catch(() => {})
+  assert.strictEqual(appended.length, 1)
+  assert.strictEqual(appended[0].src, `https://a.cdn/${chunk}`)
+})
+
+/**
+ * webpack@5 config of an entry loading a chunk lazily
+ * @param {string} root
+ * @param {object} cdn
+ * @param {object} plugin options of UploadPlugin
+ * @param {object=} output
+ * @return {object}
+ */
+function createLazyConfig(root, cdn, plugin, output) {
+  writeFiles(root, {
+    'src/index.js': 'window.load = () => import("./lazy")',
+    'src/lazy.js': 'export default "lazy"',
+  })
+  return {
+    mode: 'production',
+    context: root,
+    entry: './src/index.js',
+    output: Object.assign(
+      {
+        path: path.join(root, 'dist'),
+        filename: 'main.[contenthash:6].js',
+        chunkFilename: '[name].[contenthash:6].js',
+      },
+      output
+    ),
+    plugins: [
+      new UploadPlugin(cdn, Object.assign({ enableCache: false }, plugin)),
+    ],
+  }
+}
+
+test('webpack@5 assets are rewritten through processAssets, before emitted', async () => {
+  const root = tmpDir('webpack5-assets')
+  const outputPath = path.join(root, 'dist')
+  const cdn = createCdn(outputPath)
+  const config = createLazyConfig(root, cdn, {
+    emitManifest: { asset: true },
+  })
+  // what plugins running later see
+  const sources = {}
+  config.plugins.push({
+    apply: (compiler) =>
+      compiler.hooks.thisCompilation.tap('Later', (compilation) =>
+        compilation.hooks.processAssets.tap(
+          {
+            name: 'Later',
+            stage: webpack5.Compilation.PROCESS_ASSETS_STAGE_REPORT,
+          },
+          () =>
+            compilation.getAssets().forEach(({ name }) => {
+              sources[name] = compilation.getAsset(name).source.source()
+            })
+        )
+      ),
+  })
+  const stats = await build(config, webpack5)
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const main = Object.keys(sources).find((name) => name.startsWith('main.'))
+  const chunk = Object.keys(sources).find((name) => /^\d+\./.test(name))
+  // emitted by webpack, not taken as left by an earlier build
+  const { assets } = stats.toJson({ all: false, assets: true })
+  assert.deepStrictEqual(
+    assets
+      .filter(({ name }) => [main, chunk].includes(name))
+      .map(({ emitted }) => emitted),
+    [true, true]
+  )
+  assert.ok(sources[main].includes(`"https://a.cdn/${chunk}"`), sources[main])
+  assert.strictEqual(`${sources[main]}`, read(path.join(outputPath, main)))
+  const manifest = JSON.parse(sources['upload-manifest.json'])
+  assert.strictEqual(manifest[chunk].url, `https://a.cdn/${chunk}`)
+})
+
+test('webpack@5 output.clean keeps files the plugin writes besides assets', async () => {
+  const root = tmpDir('webpack5-clean')
+  const outputPath = path.join(root, 'dist')
+  writeFiles(outputPath, { 'stale.js': 'stale' })
+  const stats = await build(
+    createLazyConfig(
+      root,
+      createCdn(outputPath),
+      { emitManifest: true, emitReport: true },
+      { clean: true }
+    ),
+    webpack5
+  )
+  assert.ok(!stats.hasErrors(), stats.toString())
+  const files = fs.readdirSync(outputPath)
+  assert.ok(files.includes('upload-manifest.json'), files.join())
+  assert.ok(files.includes('upload-report.json'), files.join())
+  assert.ok(!files.includes('stale.js'), files.join())
+})
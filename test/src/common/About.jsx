@@ -1,4 +1,5 @@
 import React from 'react'
+import '../style/index.css'
 export default function About() {
   return <h2>About</h2>
 }
@@ -67,6 +67,7 @@ module.exports = {
     new HtmlWebpackPlugin(),
     new UploadPlugin(cdn, {
       enableCache: false,
+      emitManifest: true,
     }),
   ],
 }
@@ -0,0 +1,139 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { request, exists } = require('./request')
+const { HttpError, uploadEach } = require('./retry')
+const { getMimeType } = require('../mime')
+const { getHeader } = require('../metadata')
+
+/**
+ * build multipart/form-data body
+ * @param {{[name: string]: string}} fields
+ * @param {{name: string, filename: string, contentType: string, content: Buffer}} file
+ * @return {{boundary: string, body: Buffer}}
+ */
+function createMultipart(fields, file) {
+  const boundary = `----WebpackUploadPlugin${crypto
+    .randomBytes(12)
+    .toString('hex')}`
+  const parts = Object.keys(fields).map((name) =>
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${fields[name]}\r\n`
+    )
+  )
+  parts.push(
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n`
+    ),
+    file.content,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  )
+  return { boundary, body: Buffer.concat(parts) }
+}
+
+/**
+ * cdn adapter posting each file as multipart/form-data
+ * failed files (after retries) are left out of the result instead of failing the whole batch
+ * @param {object} option
+ * @param {string} option.url
+ * @param {function(*, string): string} option.parseResponse (json or text body, localPath) => cdn url
+ * @param {string=} [option.fieldName="file"]
+ * @param {({[name: string]: string}|function(string, object=, string=): {[name: string]: string})=} option.fields extra form fields, function receives (localPath, metadata, key)
+ * @param {object=} option.headers
+ * @param {number=} [option.retries=3]
+ * @param {number=} [option.retryDelay=500]
+ * @param {number=} [option.maxRetryDelay=10000]
+ * @param {number=} [option.timeout=60000]
+ * @param {(function({file: string, error: Error}[]): *)=} option.onFailed
+ * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>, verify: function(string): Promise<boolean>}}
+ */
+function httpAdapter(option = {}) {
+  const {
+    url,
+    parseResponse,
+    fieldName = 'file',
+    fields = {},
+    headers = {},
+    retries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 10000,
+    timeout = 60000,
+    onFailed = () => {},
+  } = option
+  if (!url) {
+    throw new Error('url is required for http adapter')
+  }
+  if (typeof parseResponse !== 'function') {
+    throw new Error('parseResponse is required for http adapter')
+  }
+
+  async function post(file, metadata, key) {
+    const { boundary, body } = createMultipart(
+      typeof fields === 'function' ? fields(file, metadata, key) : fields,
+      {
+        name: fieldName,
+        // key from keyTemplate goes as filename
+        filename: key || path.basename(file),
+        contentType: getHeader(metadata, 'content-type') || getMimeType(file),
+        content: fs.readFileSync(file),
+      }
+    )
+    const res = await request(url, {
+      method: 'POST',
+      headers: Object.assign({}, headers, {
+        'content-type': `multipart/form-data; boundary=${boundary}`,
+        'content-length': body.length,
+      }),
+      body,
+      timeout,
+    })
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw new HttpError(
+        `server responded with ${res.statusCode}`,
+        res.statusCode
+      )
+    }
+    const text = res.body.toString()
+    let data = text
+    try {
+      data = JSON.parse(text)
+    } catch (e) {
+      // not json, pass text
+    }
+    const cdnUrl = parseResponse(data, file)
+    if (typeof cdnUrl !== 'string' || !cdnUrl) {
+      throw new Error(`parseResponse returned no url`)
+    }
+    return cdnUrl
+  }
+
+  return {
+    /**
+     * whether cdn url is still there
+     * @param {string} cdnUrl
+     * @return {Promise<boolean>}
+     */
+    verify(cdnUrl) {
+      return exists(cdnUrl, { timeout })
+    },
+    /**
+     * @param {string[]} files
+     * @param {object=} passToCdn
+     * @param {{[localPath: string]: object}=} metadata headers for each file, see metadata option
+     * @param {{[localPath: string]: string}=} keys object key for each file, see keyTemplate option
+     * @param {{onRetry: function(string, Error, number)=}=} hooks retries go to the run report
+     */
+    upload(files, passToCdn, metadata = {}, keys = {}, hooks) {
+      return uploadEach(
+        files,
+        (file) => post(file, metadata[file], keys[file]),
+        { retries, retryDelay, maxRetryDelay, onFailed, hooks }
+      )
+    },
+  }
+}
+
+module.exports = {
+  http: httpAdapter,
+  HttpError,
+}
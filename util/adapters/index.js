@@ -0,0 +1,7 @@
+const { s3 } = require('./s3')
+const { http } = require('./http')
+
+module.exports = {
+  s3,
+  http,
+}
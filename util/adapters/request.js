@@ -0,0 +1,70 @@
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+
+/**
+ * minimal promise based http(s) request
+ * @param {string} url
+ * @param {object=} option
+ * @param {string=} [option.method="GET"]
+ * @param {object=} option.headers
+ * @param {(Buffer|string)=} option.body
+ * @param {number=} [option.timeout=60000]
+ * @return {Promise<{statusCode: number, headers: object, body: Buffer}>}
+ */
+function request(url, option = {}) {
+  const { method = 'GET', headers = {}, body, timeout = 60000 } = option
+  const target = new URL(url)
+  const client = target.protocol === 'https:' ? https : http
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      {
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        path: `${target.pathname}${target.search}`,
+        method,
+        headers,
+      },
+      (res) => {
+        const chunks = []
+        res.on('data', (chunk) => chunks.push(chunk))
+        res.on('end', () =>
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks),
+          })
+        )
+        res.on('error', reject)
+      }
+    )
+    req.setTimeout(timeout, () => {
+      req.abort()
+      reject(new Error(`request to ${url} timed out after ${timeout}ms`))
+    })
+    req.on('error', reject)
+    if (body !== undefined) {
+      req.write(body)
+    }
+    req.end()
+  })
+}
+
+/**
+ * whether url responds to HEAD with 2xx
+ * @param {string} url
+ * @param {object=} option same as request
+ * @return {Promise<boolean>}
+ */
+function exists(url, option = {}) {
+  return request(url, Object.assign({}, option, { method: 'HEAD' })).then(
+    ({ statusCode }) => statusCode >= 200 && statusCode < 300,
+    () => false
+  )
+}
+
+module.exports = {
+  request,
+  exists,
+}
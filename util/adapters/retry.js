@@ -0,0 +1,129 @@
+const { logErr } = require('../log')
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * error with http status, so it's possible to tell whether to retry
+ */
+class HttpError extends Error {
+  constructor(message, statusCode) {
+    super(message)
+    this.name = 'HttpError'
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * network errors, 5xx and 429 are worth another try
+ * @param {Error} e
+ * @return {boolean}
+ */
+function isRetryable(e) {
+  if (!(e instanceof HttpError)) return true
+  return e.statusCode >= 500 || e.statusCode === 429
+}
+
+/**
+ * delay before next attempt: exponential backoff with jitter
+ * @param {number} attempt start from 0
+ * @param {number} baseDelay
+ * @param {number} maxDelay
+ * @return {number}
+ */
+function getBackoff(attempt, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt))
+  // keep at least half of the delay, randomize the rest
+  return Math.round(delay / 2 + (Math.random() * delay) / 2)
+}
+
+/**
+ * run fn until it resolves or runs out of retries
+ * @param {function(number): Promise<*>} fn receive current attempt
+ * @param {object=} option
+ * @param {number=} [option.retries=3]
+ * @param {number=} [option.baseDelay=500]
+ * @param {number=} [option.maxDelay=10000]
+ * @param {(function(Error): boolean)=} option.shouldRetry
+ * @param {(function(Error, number, number): *)=} option.onRetry (error, attempt, delay) => any
+ * @return {Promise<*>}
+ */
+async function retry(fn, option = {}) {
+  const {
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 10000,
+    shouldRetry = () => true,
+    onRetry = () => {},
+  } = option
+  let attempt = 0
+  for (;;) {
+    try {
+      return await fn(attempt)
+    } catch (e) {
+      if (attempt >= retries || !shouldRetry(e)) {
+        throw e
+      }
+      const delay = getBackoff(attempt, baseDelay, maxDelay)
+      onRetry(e, attempt + 1, delay)
+      await sleep(delay)
+      attempt++
+    }
+  }
+}
+
+/**
+ * upload files one by one with retries
+ * failed files (after retries) are left out of the result instead of failing the whole batch
+ * @param {string[]} files
+ * @param {function(string): Promise<string>} uploadFile resolve cdn url of the file
+ * @param {object} option
+ * @param {number} option.retries
+ * @param {number} option.retryDelay
+ * @param {number} option.maxRetryDelay
+ * @param {function({file: string, error: Error}[]): *} option.onFailed
+ * @param {{onRetry: function(string, Error, number)=}=} option.hooks from the plugin, for the run report
+ * @return {Promise<{[localPath: string]: string}>}
+ */
+async function uploadEach(files, uploadFile, option) {
+  const { retries, retryDelay, maxRetryDelay, onFailed, hooks = {} } = option
+  const results = await Promise.all(
+    files.map((file) =>
+      retry(() => uploadFile(file), {
+        retries,
+        baseDelay: retryDelay,
+        maxDelay: maxRetryDelay,
+        shouldRetry: isRetryable,
+        onRetry: (e, attempt, delay) => {
+          logErr(
+            `${file}: ${e.message}, retry ${attempt}/${retries} in ${delay}ms`
+          )
+          hooks.onRetry && hooks.onRetry(file, e, attempt)
+        },
+      }).then(
+        (cdnUrl) => ({ file, cdnUrl }),
+        (error) => ({ file, error })
+      )
+    )
+  )
+  const failed = results.filter(({ error }) => error)
+  if (failed.length) {
+    failed.forEach(({ file, error }) =>
+      logErr(`failed to upload ${file}: ${error.message}`)
+    )
+    onFailed(failed)
+  }
+  return results.reduce((last, { file, cdnUrl }) => {
+    if (cdnUrl) {
+      last[file] = cdnUrl
+    }
+    return last
+  }, {})
+}
+
+module.exports = {
+  HttpError,
+  isRetryable,
+  getBackoff,
+  retry,
+  uploadEach,
+}
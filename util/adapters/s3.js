@@ -0,0 +1,283 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { URL } = require('url')
+const { request, exists } = require('./request')
+const { HttpError, uploadEach } = require('./retry')
+const { getMimeType } = require('../mime')
+const { normalize } = require('../share')
+const { getVariantSource } = require('../compress')
+const { isHashedFile } = require('../metadata')
+
+const SERVICE = 's3'
+const ALGORITHM = 'AWS4-HMAC-SHA256'
+const IMMUTABLE = 'public, max-age=31536000, immutable'
+const NO_CACHE = 'no-cache'
+
+const sha256 = (input) => crypto.createHash('sha256').update(input).digest()
+const hex = (buffer) => buffer.toString('hex')
+const hmac = (key, input) =>
+  crypto.createHmac('sha256', key).update(input).digest()
+
+/**
+ * encode as AWS expects, keep "/" for object key
+ * @param {string} input
+ * @return {string}
+ */
+function encodePath(input) {
+  return input
+    .split('/')
+    .map((part) =>
+      encodeURIComponent(part).replace(
+        /[!'()*]/g,
+        (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join('/')
+}
+
+/**
+ * header names are case insensitive, keep one form so none is sent twice
+ * @param {object} headers
+ * @return {object}
+ */
+function lowerCaseKeys(headers) {
+  return Object.keys(headers).reduce((last, name) => {
+    last[name.toLowerCase()] = headers[name]
+    return last
+  }, {})
+}
+
+/**
+ * default Cache-Control by extension and object key
+ * cached forever only when the key carries a hash of the content
+ * others, like keys from keyTemplate without [contenthash], are overwritten in place
+ * @param {string} file
+ * @param {string=} key object key
+ * @return {string}
+ */
+function getCacheControl(file, key = path.basename(file)) {
+  if (['.html', '.json'].includes(path.extname(file))) return NO_CACHE
+  return isHashedFile(file, [], key) ? IMMUTABLE : NO_CACHE
+}
+
+/**
+ * default object key: [prefix/]name.[hash:8].ext
+ * @param {string} file
+ * @param {string} hash
+ * @param {string} prefix
+ * @return {string}
+ */
+function getKey(file, hash, prefix) {
+  const ext = path.extname(file)
+  const name = path.basename(file, ext)
+  const key = `${name}.${hash.slice(0, 8)}${ext}`
+  return prefix ? normalize(`${prefix}/${key}`).replace(/^\//, '') : key
+}
+
+/**
+ * sign request with AWS Signature Version 4
+ * @param {object} option
+ * @param {string} option.method
+ * @param {URL} option.url
+ * @param {object} option.headers headers to sign, host excluded
+ * @param {string} option.payloadHash hex sha256 of body
+ * @param {string} option.region
+ * @param {{accessKeyId: string, secretAccessKey: string}} option.credentials
+ * @param {Date=} option.date
+ * @return {object} headers with Authorization
+ */
+function signV4(option) {
+  const {
+    method,
+    url,
+    headers,
+    payloadHash,
+    region,
+    credentials,
+    date = new Date(),
+  } = option
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+  const dateStamp = amzDate.slice(0, 8)
+  const toSign = Object.assign({}, headers, {
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+  })
+  if (credentials.sessionToken) {
+    toSign['x-amz-security-token'] = credentials.sessionToken
+  }
+  const headerNames = Object.keys(toSign)
+    .map((name) => name.toLowerCase())
+    .sort()
+  const lowerCased = Object.keys(toSign).reduce((last, name) => {
+    last[name.toLowerCase()] = `${toSign[name]}`.trim().replace(/\s+/g, ' ')
+    return last
+  }, {})
+  const canonicalHeaders = headerNames
+    .map((name) => `${name}:${lowerCased[name]}\n`)
+    .join('')
+  const signedHeaders = headerNames.join(';')
+  const canonicalQuery = Array.from(url.searchParams.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${encodePath(k)}=${encodePath(v)}`)
+    .join('&')
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join('\n')
+  const scope = `${dateStamp}/${region}/${SERVICE}/aws4_request`
+  const stringToSign = [
+    ALGORITHM,
+    amzDate,
+    scope,
+    hex(sha256(canonicalRequest)),
+  ].join('\n')
+  const signingKey = [dateStamp, region, SERVICE, 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    `AWS4${credentials.secretAccessKey}`
+  )
+  const signature = hex(hmac(signingKey, stringToSign))
+  return Object.assign({}, toSign, {
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  })
+}
+
+/**
+ * cdn adapter for S3 compatible storage (AWS S3, MinIO, etc.)
+ * @param {object} option
+ * @param {string} option.bucket
+ * @param {string=} option.endpoint like http://localhost:9000, path-style url is used when provided
+ * @param {string=} [option.region="us-east-1"]
+ * @param {string=} option.prefix
+ * @param {{accessKeyId: string, secretAccessKey: string, sessionToken: string=}=} option.credentials
+ * @param {string=} option.publicUrl base url for returned cdn url
+ * @param {(function(string, string): string)=} option.cacheControl (localPath, objectKey) => Cache-Control
+ * @param {(function(string, string): string)=} option.key (localPath, contentHash) => object key
+ * @param {object=} option.headers extra headers for every request, e.g. {'x-amz-acl': 'public-read'}
+ * @param {number=} [option.retries=3]
+ * @param {number=} [option.retryDelay=500]
+ * @param {number=} [option.maxRetryDelay=10000]
+ * @param {(function({file: string, error: Error}[]): *)=} option.onFailed
+ * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>, verify: function(string): Promise<boolean>}}
+ */
+function s3(option = {}) {
+  const {
+    bucket,
+    endpoint,
+    region = process.env.AWS_REGION || 'us-east-1',
+    prefix = '',
+    credentials = {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: process.env.AWS_SESSION_TOKEN,
+    },
+    publicUrl,
+    cacheControl = getCacheControl,
+    key: getObjectKey = (file, hash) => getKey(file, hash, prefix),
+    headers: extraHeaders = {},
+    retries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 10000,
+    onFailed = () => {},
+  } = option
+  if (!bucket) {
+    throw new Error('bucket is required for s3 adapter')
+  }
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('credentials are required for s3 adapter')
+  }
+  // path-style for custom endpoint since MinIO and mocks rarely have dns for buckets
+  const base = endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`
+  const publicBase = (publicUrl || base).replace(/\/+$/, '')
+
+  async function uploadFile(file, metadata = {}, objectKey) {
+    const body = fs.readFileSync(file)
+    const payloadHash = hex(sha256(body))
+    // variant is stored right next to its original, like bundle.[hash].js.gz
+    // so cdn could find it by appending the extension
+    const variant = getVariantSource(file)
+    // key from keyTemplate is used as it is
+    const key =
+      objectKey ||
+      (variant
+        ? `${getObjectKey(
+            variant.source,
+            hex(sha256(fs.readFileSync(variant.source)))
+          )}${path.extname(file)}`
+        : getObjectKey(file, payloadHash))
+    const url = new URL(`${base}/${encodePath(key)}`)
+    const metaFile = variant ? variant.source : file
+    const headers = signV4({
+      method: 'PUT',
+      url,
+      headers: Object.assign(
+        {
+          'content-type': getMimeType(metaFile),
+          'cache-control': cacheControl(metaFile, key),
+        },
+        variant ? { 'content-encoding': variant.encoding } : {},
+        lowerCaseKeys(extraHeaders),
+        lowerCaseKeys(metadata)
+      ),
+      payloadHash,
+      region,
+      credentials,
+    })
+    headers['content-length'] = body.length
+    const res = await request(url.href, { method: 'PUT', headers, body })
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw new HttpError(
+        `s3 responded with ${res.statusCode}: ${res.body.toString()}`,
+        res.statusCode
+      )
+    }
+    return `${publicBase}/${encodePath(key)}`
+  }
+
+  return {
+    /**
+     * whether object behind cdn url exists, signed so private bucket works too
+     * @param {string} cdnUrl
+     * @return {Promise<boolean>}
+     */
+    async verify(cdnUrl) {
+      if (cdnUrl.indexOf(`${publicBase}/`) !== 0) return exists(cdnUrl)
+      const url = new URL(`${base}/${cdnUrl.slice(publicBase.length + 1)}`)
+      const headers = signV4({
+        method: 'HEAD',
+        url,
+        headers: {},
+        payloadHash: hex(sha256('')),
+        region,
+        credentials,
+      })
+      return exists(url.href, { headers })
+    },
+    /**
+     * @param {string[]} files
+     * @param {object=} passToCdn
+     * @param {{[localPath: string]: object}=} metadata headers for each file, see metadata option
+     * @param {{[localPath: string]: string}=} keys object key for each file, see keyTemplate option
+     * @param {{onRetry: function(string, Error, number)=}=} hooks retries go to the run report
+     */
+    upload(files, passToCdn, metadata = {}, keys = {}, hooks) {
+      return uploadEach(
+        files,
+        (file) => uploadFile(file, metadata[file], keys[file]),
+        { retries, retryDelay, maxRetryDelay, onFailed, hooks }
+      )
+    },
+  }
+}
+
+module.exports = {
+  s3,
+  signV4,
+}
@@ -0,0 +1,154 @@
+const path = require('path')
+const { isFile } = require('./status')
+
+// rewrite: references to other files inside get replaced with cdn url
+const DEFAULT_TYPES = {
+  img: {
+    extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'ico', 'svgz'],
+    rewrite: false,
+  },
+  svg: {
+    extensions: ['svg'],
+    rewrite: true,
+  },
+  font: {
+    extensions: ['woff', 'woff2', 'ttf', 'otf', 'eot'],
+    rewrite: false,
+  },
+  media: {
+    extensions: ['mp4', 'webm'],
+    rewrite: false,
+  },
+  // references in json are mostly object values, only found with preciseRewrite
+  data: {
+    extensions: ['json'],
+    rewrite: false,
+  },
+  wasm: {
+    extensions: ['wasm'],
+    rewrite: false,
+  },
+  css: {
+    extensions: ['css'],
+    rewrite: true,
+  },
+  js: {
+    extensions: ['js'],
+    rewrite: true,
+  },
+}
+// always rewritten, only extensions could be added
+const BUILT_IN = ['css', 'js']
+
+/**
+ * @param {string} file
+ * @return {string} lower cased extension without dot
+ */
+const getExt = (file) => path.extname(file).slice(1).toLowerCase()
+
+/**
+ * whether file is a file with one of the extensions
+ * @param {string[]} types
+ * @return {function(string): boolean}
+ */
+const isOneOfType = (types = ['']) => (file) =>
+  types.includes(getExt(file)) && isFile(file)
+
+/**
+ * merge user types into default ones
+ * array adds extensions, object could also change rewrite
+ * an extension belongs to the last category listing it
+ * @param {{[category: string]: (string[]|{extensions: string[]=, rewrite: boolean=})}=} custom
+ * @return {{[category: string]: {extensions: string[], rewrite: boolean}}}
+ */
+function mergeTypes(custom = {}) {
+  return Object.keys(custom).reduce(
+    (last, category) => {
+      const input = Array.isArray(custom[category])
+        ? { extensions: custom[category] }
+        : custom[category]
+      const { extensions = [], rewrite } = input
+      if (BUILT_IN.includes(category) && rewrite !== undefined) {
+        throw new Error(`only extensions could be added to ${category}`)
+      }
+      const added = extensions.map((ext) =>
+        ext.replace(/^\./, '').toLowerCase()
+      )
+      // move extensions claimed by this category
+      Object.keys(last).forEach((name) => {
+        last[name].extensions = last[name].extensions.filter(
+          (ext) => !added.includes(ext)
+        )
+      })
+      const existing = last[category] || {
+        extensions: [],
+        rewrite: false,
+      }
+      last[category] = {
+        extensions: [...existing.extensions, ...added],
+        rewrite: rewrite === undefined ? existing.rewrite : rewrite,
+      }
+      return last
+    },
+    Object.keys(DEFAULT_TYPES).reduce((last, category) => {
+      last[category] = Object.assign({}, DEFAULT_TYPES[category], {
+        extensions: [...DEFAULT_TYPES[category].extensions],
+      })
+      return last
+    }, {})
+  )
+}
+
+/**
+ * registry mapping extensions to categories
+ * @param {object=} custom see mergeTypes
+ * @return {object}
+ */
+function createTypeRegistry(custom) {
+  const types = mergeTypes(custom)
+  const categories = Object.keys(types)
+  const ext2Category = categories.reduce((last, category) => {
+    types[category].extensions.forEach((ext) => {
+      last[ext] = category
+    })
+    return last
+  }, {})
+  return {
+    categories,
+    /**
+     * @param {string} file
+     * @return {string} empty if unknown or not a file
+     */
+    getCategory(file) {
+      const category = ext2Category[getExt(file)]
+      return category && isFile(file) ? category : ''
+    },
+    /**
+     * @param {string} category
+     * @return {function(string): boolean}
+     */
+    is(category) {
+      return (file) => ext2Category[getExt(file)] === category
+    },
+    /**
+     * all extensions, for scanning directories
+     * @return {string[]}
+     */
+    getExtensions() {
+      return Object.keys(ext2Category)
+    },
+    /**
+     * @param {string} category
+     * @return {boolean}
+     */
+    shouldRewrite(category) {
+      return !!types[category] && types[category].rewrite
+    },
+  }
+}
+
+module.exports = {
+  DEFAULT_TYPES,
+  isOneOfType,
+  createTypeRegistry,
+}
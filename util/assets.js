@@ -0,0 +1,137 @@
+const fs = require('fs')
+const path = require('path')
+const fse = require('fs-extra')
+const md5 = require('md5')
+const { name: pjName } = require('./static')
+
+/**
+ * source of an asset, made by webpack-sources of the compiler when it tells them (webpack@5)
+ * @param {object} compilation
+ * @param {string|Buffer} content
+ * @return {object}
+ */
+function createSource(compilation, content) {
+  const { webpack } = compilation.compiler
+  if (webpack) return new webpack.sources.RawSource(content)
+  return {
+    source: () => content,
+    size: () => Buffer.byteLength(content),
+  }
+}
+
+/**
+ * add an asset, or replace the one with the same name
+ * @param {object} compilation
+ * @param {string} name
+ * @param {string|Buffer} content
+ */
+function setAsset(compilation, name, content) {
+  const source = createSource(compilation, content)
+  if (compilation.getAsset(name)) {
+    compilation.updateAsset(name, source)
+  } else {
+    compilation.emitAsset(name, source)
+  }
+}
+
+/**
+ * assets handed over by processAssets go through output.path
+ * the pipeline uploads and rewrites them there, then they go back to webpack to be emitted
+ * @return {{write: function(object, string): void, update: function(object, string): void, isWritten: function(string): boolean}}
+ */
+function createAssetStage() {
+  // name -> hash of the source webpack gave, for assets on disk
+  let staged = new Map()
+  // name -> {hash, content} what the last run made of the source
+  const results = new Map()
+  let since = 0
+  return {
+    /**
+     * put sources of assets on disk
+     * @param {object} compilation
+     * @param {string} outputPath
+     */
+    write(compilation, outputPath) {
+      since = Date.now()
+      staged = new Map()
+      compilation.getAssets().forEach(({ name, source }) => {
+        const file = path.join(outputPath, name)
+        const content = source.buffer()
+        const hash = md5(content)
+        const last = results.get(name)
+        // same source as last time, start from the last result, like webpack not emitting it again
+        fse.outputFileSync(
+          file,
+          last && last.hash === hash ? last.content : content
+        )
+        // by the clock of the file system, which may be coarser
+        since = Math.min(since, fs.statSync(file).mtimeMs)
+        staged.set(name, hash)
+      })
+    },
+    /**
+     * take files rewritten on disk back as assets
+     * @param {object} compilation
+     * @param {string} outputPath
+     */
+    update(compilation, outputPath) {
+      Array.from(results.keys())
+        .filter((name) => !staged.has(name))
+        .forEach((name) => results.delete(name))
+      staged.forEach((hash, name) => {
+        const file = path.join(outputPath, name)
+        if (!fs.existsSync(file)) return
+        const content = fs.readFileSync(file)
+        if (!content.equals(compilation.getAsset(name).source.buffer())) {
+          compilation.updateAsset(name, createSource(compilation, content))
+        }
+        results.set(name, { hash, content })
+        // written by webpack again, which skips existing files with a hash in name
+        fs.unlinkSync(file)
+      })
+    },
+    /**
+     * whether file is written by the last run, like templates, variants or the manifest
+     * @param {string} file
+     * @return {boolean}
+     */
+    isWritten(file) {
+      return fs.existsSync(file) && fs.statSync(file).mtimeMs >= since
+    },
+  }
+}
+
+/**
+ * webpack@5, run the pipeline on assets before they are emitted
+ * after real content hashes and minimizing, before transfer variants like gzip are made of them
+ * @param {object} compiler
+ * @param {function(object): Promise<void>} run called with the compilation
+ */
+function tapProcessAssets(compiler, run) {
+  const { Compilation, CleanPlugin } = compiler.webpack
+  const stage = createAssetStage()
+  compiler.hooks.thisCompilation.tap(pjName, (compilation) => {
+    const outputPath = compilation.outputOptions.path
+    compilation.hooks.processAssets.tapPromise(
+      {
+        name: pjName,
+        stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_TRANSFER - 1,
+      },
+      async () => {
+        stage.write(compilation, outputPath)
+        await run(compilation)
+        stage.update(compilation, outputPath)
+      }
+    )
+    // output.clean would remove files the run wrote besides assets
+    CleanPlugin.getCompilationHooks(compilation).keep.tap(
+      pjName,
+      (file) => stage.isWritten(path.join(outputPath, file)) || undefined
+    )
+  })
+}
+
+module.exports = {
+  setAsset,
+  tapProcessAssets,
+}
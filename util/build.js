@@ -0,0 +1,301 @@
+const fs = require('fs')
+const path = require('path')
+const { parse, parseExpressionAt } = require('acorn')
+const {
+  gatherChunks,
+  gatherChunkFiles,
+  gatherFileIn,
+  getCompilationAssets,
+} = require('./util')
+const { resolvePublicPath } = require('./publicPath')
+const { setAsset } = require('./assets')
+const { hasRuntimeOverride } = require('./runtime')
+const { normalize, read } = require('./share')
+const { getCssChunksRegExp, getCssHrefRegExp } = require('./regexp')
+
+const PARSE_OPTION = { ecmaVersion: 2020 }
+
+/**
+ * what the pipeline needs to know about a build
+ * @typedef {object} Build
+ * @property {string} outputPath
+ * @property {string} publicPath prefix in emitted files
+ * @property {{[chunkId: string]: string}} chunkMap js file name of each async chunk
+ * @property {{[chunkId: string]: string}} cssChunkMap css file name of each async chunk, injected runtime only
+ * @property {{[name: string]: {existsAt: string}}} assets
+ * @property {{[localPath: string]: string[]}} fileHashes hashes webpack may have put into file names
+ * @property {boolean} isRuntimeInjected
+ * @property {boolean=} minimize
+ * @property {boolean} runtimeChunk whether runtime may be inlined into templates
+ * @property {(function(string, string): void)=} emitAsset
+ */
+
+/**
+ * webpack@5 tells hashes of each asset in asset info
+ * webpack@4 (mostly) only knows hashes of chunks
+ * @param {object} compilation
+ * @param {string} outputPath
+ * @return {{[localPath: string]: string[]}}
+ */
+function getFileHashes(compilation, outputPath) {
+  const fileHashes = {}
+  const add = (name, hashes) => {
+    const file = path.join(outputPath, name)
+    fileHashes[file] = (fileHashes[file] || []).concat(
+      hashes.filter((hash) => typeof hash === 'string')
+    )
+  }
+  if (typeof compilation.getAssets === 'function') {
+    compilation
+      .getAssets()
+      .forEach(({ name, info = {} }) =>
+        add(
+          name,
+          [].concat(
+            info.contenthash || [],
+            info.chunkhash || [],
+            info.fullhash || []
+          )
+        )
+      )
+  }
+  Array.from(compilation.chunks).forEach((chunk) => {
+    const hashes = [
+      chunk.hash,
+      chunk.renderedHash,
+      ...Object.values(chunk.contentHash || {}),
+      compilation.hash,
+    ]
+    Array.from(chunk.files).forEach((name) => add(name, hashes))
+  })
+  return fileHashes
+}
+
+/**
+ * @param {object} compilation
+ * @param {boolean} isRuntimeInjected
+ * @return {Build}
+ */
+function describeCompilation(compilation, isRuntimeInjected) {
+  const { chunks, options } = compilation
+  const {
+    output: { publicPath: rawPublicPath, path: outputPath, chunkFilename },
+    optimization: { minimize, runtimeChunk } = {},
+  } = options
+  return {
+    outputPath,
+    // webpack@5 defaults to 'auto' which leaves none
+    publicPath: resolvePublicPath(compilation, rawPublicPath).value,
+    // chunks tell which files belong to them directly
+    chunkMap: isRuntimeInjected
+      ? gatherChunkFiles(chunks, 'js')
+      : gatherChunks(chunks, chunkFilename),
+    cssChunkMap: isRuntimeInjected ? gatherChunkFiles(chunks, 'css') : {},
+    assets: getCompilationAssets(compilation, outputPath),
+    fileHashes: getFileHashes(compilation, outputPath),
+    isRuntimeInjected,
+    minimize,
+    runtimeChunk: !!runtimeChunk,
+    emitAsset(name, content) {
+      setAsset(compilation, name, content)
+    },
+  }
+}
+
+/**
+ * chunk ids a jsonp chunk file pushes, like (window["webpackJsonp"] = ...).push([[1],{
+ * @param {string} content
+ * @return {string[]}
+ */
+function getPushedChunkIds(content) {
+  const match = content.slice(0, 1000).match(/\.push\(\[\[([^\]]*)\]/)
+  if (!match) return []
+  return match[1]
+    .split(',')
+    .map((id) => id.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean)
+}
+
+/**
+ * value of chunk file name code for a chunk id, read from the syntax tree instead of run
+ * only literals, chunkId, `+`, `||`, `===`, `?:` and lookups in object literals are known
+ * @param {object} node acorn node
+ * @param {string} chunkId
+ * @return {*}
+ */
+function evaluateChunkExpression(node, chunkId) {
+  const evaluate = (child) => evaluateChunkExpression(child, chunkId)
+  switch (node.type) {
+    case 'Literal':
+      return node.value
+    case 'Identifier':
+      if (node.name === 'chunkId') return chunkId
+      if (node.name === 'undefined') return undefined
+      break
+    case 'BinaryExpression':
+      if (node.operator === '+') {
+        return evaluate(node.left) + evaluate(node.right)
+      }
+      if (['==', '==='].includes(node.operator)) {
+        return String(evaluate(node.left)) === String(evaluate(node.right))
+      }
+      break
+    case 'LogicalExpression':
+      if (node.operator === '||') {
+        return evaluate(node.left) || evaluate(node.right)
+      }
+      break
+    case 'ConditionalExpression':
+      return evaluate(node.test)
+        ? evaluate(node.consequent)
+        : evaluate(node.alternate)
+    case 'MemberExpression': {
+      if (node.object.type !== 'ObjectExpression' || !node.computed) break
+      const key = String(evaluate(node.property))
+      const property = node.object.properties.find(
+        (item) =>
+          item.type === 'Property' &&
+          String(
+            item.key.type === 'Identifier' ? item.key.name : item.key.value
+          ) === key
+      )
+      return property ? evaluate(property.value) : undefined
+    }
+  }
+  throw new Error(`unexpected ${node.type} in chunk file name`)
+}
+
+/**
+ * what a function body of chunk file name returns for a chunk id
+ * @param {object[]} statements acorn nodes
+ * @param {string} chunkId
+ * @return {{value: *}=} undefined if nothing is returned
+ */
+function evaluateChunkStatements(statements, chunkId) {
+  for (const statement of statements) {
+    let result
+    if (statement.type === 'ReturnStatement') {
+      return {
+        value: statement.argument
+          ? evaluateChunkExpression(statement.argument, chunkId)
+          : undefined,
+      }
+    } else if (statement.type === 'BlockStatement') {
+      result = evaluateChunkStatements(statement.body, chunkId)
+    } else if (statement.type === 'IfStatement') {
+      const branch = evaluateChunkExpression(statement.test, chunkId)
+        ? statement.consequent
+        : statement.alternate
+      result = branch && evaluateChunkStatements([branch], chunkId)
+    } else if (statement.type !== 'EmptyStatement') {
+      throw new Error(`unexpected ${statement.type} in chunk file name`)
+    }
+    if (result) return result
+  }
+  return undefined
+}
+
+/**
+ * css file name of each async chunk, from mini-css-extract-plugin runtime
+ * code comes from any file in the directory, so it's parsed, never run
+ * @param {string} content
+ * @return {{[chunkId: string]: string}}
+ */
+function getCssChunkFiles(content) {
+  const chunksMatch = content.match(getCssChunksRegExp())
+  if (!chunksMatch) return {}
+  // webpack@4: var href = "" + chunkId + ".css"
+  // webpack@5: __webpack_require__.miniCssF = (chunkId) => { return ... }
+  const hrefMatch = content.match(getCssHrefRegExp())
+  const fnMatch = content.match(/__webpack_require__\.miniCssF\s*=\s*/)
+  try {
+    let getHref
+    if (hrefMatch) {
+      const [declaration] = parse(hrefMatch[0], PARSE_OPTION).body
+      const { init } = declaration.declarations[0]
+      getHref = (id) => evaluateChunkExpression(init, id)
+    } else if (fnMatch) {
+      const fn = parseExpressionAt(
+        content,
+        fnMatch.index + fnMatch[0].length,
+        PARSE_OPTION
+      )
+      getHref = (id) =>
+        fn.body.type === 'BlockStatement'
+          ? (evaluateChunkStatements(fn.body.body, id) || {}).value
+          : evaluateChunkExpression(fn.body, id)
+    } else {
+      return {}
+    }
+    const chunks = parseExpressionAt(chunksMatch[1], 0, PARSE_OPTION)
+    return chunks.properties.reduce((last, { key }) => {
+      const id = String(key.type === 'Identifier' ? key.name : key.value)
+      const href = getHref(id)
+      if (typeof href === 'string') last[id] = href.replace(/^\.?\//, '')
+      return last
+    }, {})
+  } catch (e) {
+    // not the code expected
+    return {}
+  }
+}
+
+/**
+ * build emitted before, by webpack or anything else
+ * files are found by the pipeline itself, as smartAssMode does
+ * @param {string} outputPath
+ * @param {object} option
+ * @param {string=} option.publicPath the build is emitted with
+ * @param {{[chunkId: string]: string[]}=} option.chunks files of each async chunk relative to outputPath, like chunks of webpack stats
+ * @return {Build}
+ */
+function describeDirectory(outputPath, option = {}) {
+  const { publicPath = '', chunks } = option
+  const jsFiles = gatherFileIn(outputPath)('js')
+  const getChunkFiles = (type) =>
+    Object.keys(chunks).reduce((last, id) => {
+      const file = []
+        .concat(chunks[id])
+        .find((name) => path.extname(name) === `.${type}`)
+      if (file && fs.existsSync(path.join(outputPath, file))) {
+        last[id] = normalize(file)
+      }
+      return last
+    }, {})
+  // ids are in the head of jsonp chunks
+  const findChunks = () =>
+    jsFiles.reduce((last, file) => {
+      getPushedChunkIds(read(file)).forEach((id) => {
+        last[id] = normalize(path.relative(outputPath, file))
+      })
+      return last
+    }, {})
+  // css files are known by the runtime
+  const findCssChunks = () =>
+    jsFiles.reduce((last, file) => {
+      const files = getCssChunkFiles(read(file))
+      Object.keys(files)
+        .filter((id) => fs.existsSync(path.join(outputPath, files[id])))
+        .forEach((id) => {
+          last[id] = normalize(files[id])
+        })
+      return last
+    }, {})
+  return {
+    outputPath,
+    publicPath,
+    chunkMap: chunks ? getChunkFiles('js') : findChunks(),
+    cssChunkMap: chunks ? getChunkFiles('css') : findCssChunks(),
+    assets: {},
+    // names are told by content only
+    fileHashes: {},
+    isRuntimeInjected: jsFiles.some((file) => hasRuntimeOverride(read(file))),
+    // entry templates are told by content
+    runtimeChunk: true,
+  }
+}
+
+module.exports = {
+  describeCompilation,
+  describeDirectory,
+}
@@ -0,0 +1,159 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const stores = require('./stores')
+const { name: pjName } = require('../static')
+
+const DEFAULT_CACHE_FILE = 'cache.json'
+
+/**
+ * default store, json file at cacheLocation
+ * cacheLocation could be a directory or a .json file
+ * @param {string=} cacheLocation
+ * @return {string}
+ */
+function getCacheFile(cacheLocation) {
+  const location = path.resolve(
+    cacheLocation || path.join('node_modules', '.cache', pjName)
+  )
+  return path.extname(location) === '.json'
+    ? location
+    : path.join(location, DEFAULT_CACHE_FILE)
+}
+
+/**
+ * @param {(object|undefined)} cacheStore user supplied store
+ * @param {string=} cacheLocation
+ * @return {import('./stores').CacheStore}
+ */
+function resolveCacheStore(cacheStore, cacheLocation) {
+  if (!cacheStore) return stores.json(getCacheFile(cacheLocation))
+  if (
+    typeof cacheStore.get !== 'function' ||
+    typeof cacheStore.set !== 'function'
+  ) {
+    throw new Error('cacheStore should have get and set methods')
+  }
+  return cacheStore
+}
+
+/**
+ * cache is dropped when passToCdn changes
+ * @param {object=} passToCdn
+ * @return {string}
+ */
+function getFingerprint(passToCdn = {}) {
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify(passToCdn))
+    .digest('hex')
+    .slice(0, 8)
+}
+
+/**
+ * key by final bytes, extension kept since content type depends on it
+ * with keyTemplate, files of the same content may go to different keys, like [name]
+ * @param {string} file
+ * @param {string} fingerprint
+ * @param {string=} objectKey from keyTemplate
+ * @return {string}
+ */
+function getCacheKey(file, fingerprint, objectKey) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(file))
+    .digest('hex')
+  const keyHash = objectKey
+    ? `.${crypto.createHash('md5').update(objectKey).digest('hex').slice(0, 8)}`
+    : ''
+  return `${hash}.${fingerprint}${keyHash}${path.extname(file)}`
+}
+
+/**
+ * skip files uploaded before with the same content
+ * @param {{upload: function(string[]): Promise<{[localPath: string]: string}>}} cdn
+ * @param {object} option
+ * @param {import('./stores').CacheStore} option.store
+ * @param {string} option.fingerprint
+ * @param {(function(string, string): Promise<boolean>)=} option.verify (cdnUrl, localPath) => whether cached url is still there
+ * @param {{hits: number, misses: number}} option.stats counted in place
+ * @param {(function(string): string)=} option.getKey object key of keyTemplate
+ * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>}}
+ */
+function withCache(cdn, option) {
+  const { store, fingerprint, verify, stats, getKey } = option
+  return {
+    async upload(files) {
+      const keys = files.reduce(
+        (last, file) =>
+          Object.assign(last, {
+            [file]: getCacheKey(file, fingerprint, getKey && getKey(file)),
+          }),
+        {}
+      )
+      const fromCache = {}
+      const toUpload = []
+      await Promise.all(
+        files.map(async (file) => {
+          const entry = await store.get(keys[file])
+          const isValid =
+            entry &&
+            typeof entry.url === 'string' &&
+            (!verify || (await verify(entry.url, file)))
+          if (isValid) {
+            fromCache[file] = entry.url
+            return
+          }
+          if (entry && store.delete) {
+            await store.delete(keys[file])
+          }
+          toUpload.push(file)
+        })
+      )
+      stats.hits += Object.keys(fromCache).length
+      stats.misses += toUpload.length
+      const res = toUpload.length ? await cdn.upload(toUpload) : {}
+      await Promise.all(
+        toUpload
+          .filter((file) => typeof res[file] === 'string')
+          .map((file) => store.set(keys[file], { url: res[file] }))
+      )
+      store.flush && (await store.flush())
+      return Object.assign({}, res, fromCache)
+    },
+  }
+}
+
+/**
+ * remove entries for files with current content, or everything
+ * @param {import('./stores').CacheStore} store
+ * @param {string} fingerprint
+ * @param {string[]=} files
+ * @param {(function(string): string)=} getKey object key of keyTemplate
+ * @return {Promise<void>}
+ */
+async function clearCache(store, fingerprint, files, getKey) {
+  if (!files) {
+    if (!store.clear) throw new Error('cacheStore has no clear method')
+    await store.clear()
+    return
+  }
+  if (!store.delete) throw new Error('cacheStore has no delete method')
+  await Promise.all(
+    files
+      .filter((file) => fs.existsSync(file))
+      .map((file) =>
+        store.delete(getCacheKey(file, fingerprint, getKey && getKey(file)))
+      )
+  )
+  store.flush && (await store.flush())
+}
+
+module.exports = {
+  stores,
+  resolveCacheStore,
+  getFingerprint,
+  getCacheKey,
+  withCache,
+  clearCache,
+}
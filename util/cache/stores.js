@@ -0,0 +1,94 @@
+const fs = require('fs')
+const path = require('path')
+const fse = require('fs-extra')
+
+/**
+ * @typedef {object} CacheStore
+ * @property {function(string): (object|undefined|Promise<object|undefined>)} get
+ * @property {function(string, object): (void|Promise<void>)} set
+ * @property {(function(string): (void|Promise<void>))=} delete
+ * @property {(function(): (void|Promise<void>))=} clear
+ * @property {(function(): (void|Promise<void>))=} flush called once a batch is done
+ */
+
+/**
+ * all entries in one json file, written once a batch is done
+ * @param {string} filename
+ * @return {CacheStore}
+ */
+function json(filename) {
+  let entries = null
+  let dirty = false
+  const load = () => {
+    if (entries) return entries
+    try {
+      entries = JSON.parse(fs.readFileSync(filename, 'utf-8')).entries || {}
+    } catch (e) {
+      // missing or broken, start over
+      entries = {}
+    }
+    return entries
+  }
+  return {
+    get(key) {
+      return load()[key]
+    },
+    set(key, value) {
+      load()[key] = value
+      dirty = true
+    },
+    delete(key) {
+      if (load()[key]) {
+        delete entries[key]
+        dirty = true
+      }
+    },
+    clear() {
+      entries = {}
+      dirty = true
+      this.flush()
+    },
+    flush() {
+      if (!dirty) return
+      fse.ensureFileSync(filename)
+      fs.writeFileSync(filename, JSON.stringify({ entries }, null, 2))
+      dirty = false
+    },
+  }
+}
+
+/**
+ * one file per entry, so several processes (like CI runners on a shared volume) could use it at the same time
+ * @param {string} dir
+ * @return {CacheStore}
+ */
+function directory(dir) {
+  const getFile = (key) => path.join(dir, `${key}.json`)
+  return {
+    get(key) {
+      try {
+        return JSON.parse(fs.readFileSync(getFile(key), 'utf-8'))
+      } catch (e) {
+        return undefined
+      }
+    },
+    set(key, value) {
+      fse.ensureDirSync(dir)
+      // write then rename, readers never see half written files
+      const tmp = `${getFile(key)}.${process.pid}.tmp`
+      fs.writeFileSync(tmp, JSON.stringify(value))
+      fs.renameSync(tmp, getFile(key))
+    },
+    delete(key) {
+      fse.removeSync(getFile(key))
+    },
+    clear() {
+      fse.emptyDirSync(dir)
+    },
+  }
+}
+
+module.exports = {
+  json,
+  directory,
+}
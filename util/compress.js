@@ -0,0 +1,153 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+
+const ALGORITHMS = {
+  gzip: {
+    ext: '.gz',
+    encoding: 'gzip',
+    compress: (content) => zlib.gzipSync(content, { level: 9 }),
+  },
+  brotli: {
+    ext: '.br',
+    encoding: 'br',
+    compress: (content) =>
+      zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 },
+      }),
+  },
+}
+const DEFAULT_TYPES = ['js', 'css', 'svg', 'html']
+const DEFAULT_THRESHOLD = 1024
+
+/**
+ * normalize precompress option
+ * @param {(boolean|{algorithms: string[]=, threshold: number=, types: string[]=})=} precompress
+ * @return {{algorithms: string[], threshold: number, types: string[]}|null}
+ */
+function resolvePrecompressOption(precompress) {
+  if (!precompress) return null
+  const {
+    algorithms = Object.keys(ALGORITHMS),
+    threshold = DEFAULT_THRESHOLD,
+    types = DEFAULT_TYPES,
+  } = typeof precompress === 'object' ? precompress : {}
+  algorithms.forEach((algorithm) => {
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error(
+        `precompress algorithms should be ${Object.keys(ALGORITHMS).join(
+          ' or '
+        )}, got ${algorithm}`
+      )
+    }
+  })
+  return { algorithms, threshold, types }
+}
+
+/**
+ * @param {string} file
+ * @param {{types: string[]}} option
+ * @return {boolean}
+ */
+function shouldCompress(file, option) {
+  return option.types.includes(path.extname(file).slice(1))
+}
+
+/**
+ * tell whether file is a variant written by precompress
+ * @param {string} file
+ * @return {{source: string, encoding: string}|null}
+ */
+function getVariantSource(file) {
+  const ext = path.extname(file)
+  const algorithm = Object.keys(ALGORITHMS).find(
+    (name) => ALGORITHMS[name].ext === ext
+  )
+  const source = file.slice(0, -ext.length)
+  return algorithm && fs.existsSync(source)
+    ? { source, encoding: ALGORITHMS[algorithm].encoding }
+    : null
+}
+
+/**
+ * paths variants of files would be written to, whether they will be or not
+ * @param {string[]} files
+ * @param {{algorithms: string[], types: string[]}} option
+ * @return {string[]}
+ */
+function getVariantFiles(files, option) {
+  return files
+    .filter((file) => shouldCompress(file, option))
+    .reduce(
+      (last, file) =>
+        last.concat(
+          option.algorithms.map(
+            (algorithm) => `${file}${ALGORITHMS[algorithm].ext}`
+          )
+        ),
+      []
+    )
+}
+
+/**
+ * write compressed variants next to file
+ * @param {string} file
+ * @param {{algorithms: string[], threshold: number, types: string[]}} option
+ * @return {{algorithm: string, file: string}[]}
+ */
+function createVariants(file, option) {
+  if (!shouldCompress(file, option)) return []
+  const content = fs.readFileSync(file)
+  if (content.length < option.threshold) return []
+  return option.algorithms.map((algorithm) => {
+    const { ext, compress } = ALGORITHMS[algorithm]
+    const variant = `${file}${ext}`
+    fs.writeFileSync(variant, compress(content))
+    return { algorithm, file: variant }
+  })
+}
+
+/**
+ * upload compressed variants together with original files
+ * only urls of original files are returned, urls of variants go to variantUrls
+ * @param {{upload: function(string[]): Promise<{[localPath: string]: string}>}} cdn
+ * @param {{algorithms: string[], threshold: number, types: string[]}} option
+ * @param {{[localPath: string]: {[algorithm: string]: string}}} variantUrls
+ * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>}}
+ */
+function precompress(cdn, option, variantUrls) {
+  return {
+    upload(files) {
+      const variants = files.reduce(
+        (last, file) =>
+          last.concat(
+            createVariants(file, option).map((variant) =>
+              Object.assign({ source: file }, variant)
+            )
+          ),
+        []
+      )
+      return cdn
+        .upload([...files, ...variants.map(({ file }) => file)])
+        .then((res) => {
+          const result = Object.assign({}, res)
+          variants.forEach(({ source, algorithm, file }) => {
+            if (result[file]) {
+              variantUrls[source] = Object.assign({}, variantUrls[source], {
+                [algorithm]: result[file],
+              })
+            }
+            delete result[file]
+          })
+          return result
+        })
+    },
+  }
+}
+
+module.exports = {
+  resolvePrecompressOption,
+  getVariantFiles,
+  getVariantSource,
+  precompress,
+}
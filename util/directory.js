@@ -0,0 +1,45 @@
+const path = require('path')
+const { createPipeline } = require('./pipeline')
+const { describeDirectory } = require('./build')
+const { resolveCacheStore } = require('./cache')
+
+/**
+ * upload a directory built before, without webpack
+ * files are rewritten the same way as the plugin with smartAssMode
+ * @param {object} option other options are the same as UploadPlugin
+ * @param {string} option.root output path of the build
+ * @param {object} option.cdn cdn object or named ones, see UploadPlugin
+ * @param {string[]=} [option.templates=["html"]] extensions of templates, same as resolve
+ * @param {string=} option.publicPath the build is emitted with
+ * @param {{[chunkId: string]: string[]}=} option.chunks files of each async chunk, found in jsonp chunks if not provided
+ * @return {Promise<void>} rejects only with failOnError
+ */
+async function uploadDirectory(option = {}) {
+  const { root, cdn, templates, publicPath, chunks } = option
+  if (!root) throw new Error('root is required to upload a directory')
+  if (!cdn) throw new Error('cdn is required to upload a directory')
+  const outputPath = path.resolve(root)
+  let store
+  const pipeline = createPipeline(
+    cdn,
+    Object.assign({}, option, {
+      resolve: templates || option.resolve,
+      smartAssMode: true,
+    }),
+    {
+      context: process.cwd(),
+      outputPath,
+      getCacheStore: () =>
+        store ||
+        (store = resolveCacheStore(option.cacheStore, option.cacheLocation)),
+    }
+  )
+  pipeline.start()
+  return pipeline.run(() =>
+    describeDirectory(outputPath, { publicPath, chunks })
+  )
+}
+
+module.exports = {
+  uploadDirectory,
+}
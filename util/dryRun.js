@@ -0,0 +1,101 @@
+const fs = require('fs')
+const path = require('path')
+const md5 = require('md5')
+const { normalize } = require('./share')
+
+const DRY_RUN_HOST = 'https://dry-run.invalid'
+
+/**
+ * cdn that never uploads
+ * url only depends on file content and name, so it's stable across runs
+ * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>}}
+ */
+function createDryRunCdn() {
+  return {
+    upload(files) {
+      return Promise.resolve(
+        files.reduce((last, file) => {
+          const hash = md5(fs.readFileSync(file)).slice(0, 8)
+          last[file] = `${DRY_RUN_HOST}/${hash}/${path.basename(file)}`
+          return last
+        }, {})
+      )
+    },
+  }
+}
+
+/**
+ * collect what would happen during a run
+ * @param {string} root paths in report are relative to root
+ * @return {object}
+ */
+function createDryRunReport(root) {
+  const relative = (file) => normalize(path.relative(root, file))
+  const report = {
+    uploads: [],
+    rewrites: [],
+    excluded: [],
+    cycles: [],
+    unresolved: {},
+  }
+  return {
+    /**
+     * @param {string} phase
+     * @param {string[]} files
+     */
+    addUpload(phase, files) {
+      report.uploads.push({ phase, files: files.map(relative) })
+    },
+    /**
+     * @param {string} phase
+     * @param {string} file
+     * @param {{localPath: string, cdnPath: string, count: number}[]=} changes
+     */
+    addRewrite(phase, file, changes) {
+      const rewrite = { phase, file: relative(file) }
+      if (changes) {
+        rewrite.changes = changes.map(({ localPath, cdnPath, count }) => ({
+          from: relative(localPath),
+          to: cdnPath,
+          count,
+        }))
+      }
+      report.rewrites.push(rewrite)
+    },
+    /**
+     * files left out by include/exclude
+     * @param {string[]} files
+     */
+    addExcluded(files) {
+      report.excluded.push(...files.map(relative))
+    },
+    /**
+     * files referring to each other
+     * @param {string[][]} cycles
+     */
+    addCycles(cycles) {
+      report.cycles.push(...cycles.map((cycle) => cycle.map(relative)))
+    },
+    /**
+     * references matching no file, with preciseRewrite
+     * @param {{[file: string]: string[]}} unresolved
+     */
+    addUnresolved(unresolved) {
+      Object.keys(unresolved).forEach((file) => {
+        report.unresolved[relative(file)] = unresolved[file]
+      })
+    },
+    /**
+     * @return {{uploads: object[], rewrites: object[], excluded: string[], cycles: string[][], unresolved: object}}
+     */
+    toJSON() {
+      return report
+    },
+  }
+}
+
+module.exports = {
+  DRY_RUN_HOST,
+  createDryRunCdn,
+  createDryRunReport,
+}
@@ -0,0 +1,67 @@
+const { name: pjName } = require('./static')
+
+/**
+ * error thrown by the plugin, knows in which phase and for which files
+ */
+class UploadError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} phase
+   * @param {string[]=} files
+   */
+  constructor(message, phase, files = []) {
+    super(message)
+    this.name = 'UploadError'
+    this.phase = phase
+    this.files = files
+  }
+}
+
+/**
+ * get WebpackError class from the webpack instance in use
+ * @param {object} compiler
+ * @return {function}
+ */
+function getWebpackError(compiler) {
+  if (compiler.webpack && compiler.webpack.WebpackError) {
+    return compiler.webpack.WebpackError
+  }
+  try {
+    return require('webpack/lib/WebpackError')
+  } catch (e) {
+    return Error
+  }
+}
+
+/**
+ * wrap any error into WebpackError, so it can be pushed into compilation.errors
+ * @param {object} compiler
+ * @param {Error} error
+ * @param {string} phase fallback phase if error is not UploadError
+ * @param {string[]=} files fallback files if error is not UploadError
+ * @return {Error}
+ */
+function toWebpackError(compiler, error, phase, files = []) {
+  const WebpackError = getWebpackError(compiler)
+  const isUploadError = error instanceof UploadError
+  const failedPhase = isUploadError ? error.phase : phase
+  const failedFiles = isUploadError ? error.files : files
+  const webpackError = new WebpackError(
+    `[${pjName}]: failed in phase "${failedPhase}": ${
+      error && error.message ? error.message : error
+    }`
+  )
+  webpackError.name = 'UploadError'
+  webpackError.details = failedFiles.length
+    ? `files involved:\n${failedFiles.join('\n')}`
+    : undefined
+  webpackError.phase = failedPhase
+  webpackError.files = failedFiles
+  webpackError.error = error
+  return webpackError
+}
+
+module.exports = {
+  UploadError,
+  toWebpackError,
+}
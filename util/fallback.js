@@ -0,0 +1,86 @@
+const { getAttr } = require('./sri')
+
+// called by onerror of tags, defined by the loader
+const LOADER_NAME = '__WEBPACK_UPLOAD_FALLBACK__'
+const FALLBACK_ATTR = 'data-upload-fallback'
+
+// load the tag again from the next mirror
+// blocking scripts are written while parsing, so scripts after them still wait
+const LOADER = `<script>window.${LOADER_NAME}=function(el){var urls=(el.getAttribute("${FALLBACK_ATTR}")||"").split(" ");var url=urls.shift();if(!url)return;var isScript=el.tagName==="SCRIPT";var attr=isScript?"src":"href";var tag=document.createElement(el.tagName);for(var i=0;i<el.attributes.length;i++){tag.setAttribute(el.attributes[i].name,el.attributes[i].value)}tag.setAttribute("${FALLBACK_ATTR}",urls.join(" "));tag.setAttribute(attr,url);if(isScript&&document.readyState==="loading"&&!el.async&&!el.defer){document.write(tag.outerHTML);return}el.parentNode.insertBefore(tag,el.nextSibling)}</script>`
+
+/**
+ * @param {string} value
+ * @return {string}
+ */
+function escapeAttr(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+/**
+ * load <script> and <link rel="stylesheet"> from mirrors when the primary url fails
+ * loader is added once, right before the first tag using it
+ * @param {string} content
+ * @param {{[cdnUrl: string]: string[]}} urlFallbacks
+ * @return {string}
+ */
+function addFallbackToTags(content, urlFallbacks) {
+  let hasLoader = content.includes(`window.${LOADER_NAME}=`)
+  return content.replace(/<(script|link)\b[^>]*>/gi, (tag, tagName) => {
+    if (/\s(onerror|data-upload-fallback)\s*=/i.test(tag)) return tag
+    const isScript = tagName.toLowerCase() === 'script'
+    if (!isScript && !/^stylesheet$/i.test(getAttr(tag, 'rel') || '')) {
+      return tag
+    }
+    const url = getAttr(tag, isScript ? 'src' : 'href')
+    const fallbacks = url && urlFallbacks[url]
+    if (!fallbacks || !fallbacks.length) return tag
+    const newTag = tag.replace(
+      /\s*(\/?)>$/,
+      (_, slash) =>
+        ` ${FALLBACK_ATTR}="${escapeAttr(
+          fallbacks.join(' ')
+        )}" onerror="${LOADER_NAME}(this)"${slash}>`
+    )
+    if (hasLoader) return newTag
+    hasLoader = true
+    return `${LOADER}${newTag}`
+  })
+}
+
+/**
+ * convert {[chunkId]: cdnUrl} to {[chunkId]: mirror urls joined by space}
+ * @param {{[chunkId: string]: string}} chunkCdnMap
+ * @param {{[cdnUrl: string]: string[]}} urlFallbacks
+ * @return {{[chunkId: string]: string}}
+ */
+function getChunkFallback(chunkCdnMap, urlFallbacks) {
+  return Object.keys(chunkCdnMap).reduce((last, id) => {
+    const fallbacks = urlFallbacks[chunkCdnMap[id]]
+    if (fallbacks && fallbacks.length) {
+      last[id] = fallbacks.join(' ')
+    }
+    return last
+  }, {})
+}
+
+/**
+ * convert {[chunkId]: cdnUrl} to {[chunkId]: url for the final attempt}
+ * @param {{[chunkId: string]: string}} chunkCdnMap
+ * @param {{[cdnUrl: string]: string}} urlFinal
+ * @return {{[chunkId: string]: string}}
+ */
+function getChunkFinal(chunkCdnMap, urlFinal) {
+  return Object.keys(chunkCdnMap).reduce((last, id) => {
+    const url = urlFinal[chunkCdnMap[id]]
+    if (url) {
+      last[id] = url
+    }
+    return last
+  }, {})
+}
+
+module.exports = {
+  addFallbackToTags,
+  getChunkFallback,
+  getChunkFinal,
+}
@@ -0,0 +1,105 @@
+const path = require('path')
+const { normalize } = require('./share')
+
+const escape = (input) => input.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+
+/**
+ * glob to RegExp source, supports **, *, ? and {a,b}
+ * @param {string} glob
+ * @return {string}
+ */
+function globToSource(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      i++
+      // **/ matches zero or more directories
+      if (glob[i + 1] === '/') {
+        i++
+        source += '(?:.*/)?'
+      } else {
+        source += '.*'
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i)
+      source += `(?:${glob
+        .slice(i + 1, end)
+        .split(',')
+        .map(globToSource)
+        .join('|')})`
+      i = end
+    } else {
+      source += escape(char)
+    }
+  }
+  return source
+}
+
+/**
+ * @param {string} glob
+ * @return {RegExp}
+ */
+function globToRegExp(glob) {
+  return new RegExp(`^${globToSource(glob)}$`)
+}
+
+/**
+ * turn glob, RegExp or predicate into one predicate
+ * glob is matched against path relative to root, or file name if it has no "/"
+ * RegExp is tested against absolute path
+ * @param {string|RegExp|function(string, string): boolean} pattern
+ * @param {string} root
+ * @return {function(string, string): boolean}
+ */
+function toMatcher(pattern, root) {
+  if (typeof pattern === 'function') {
+    return (absPath, category) => !!pattern(absPath, category)
+  }
+  if (pattern instanceof RegExp) {
+    const exp = new RegExp(pattern.source, pattern.flags.replace('g', ''))
+    return (absPath) => exp.test(normalize(absPath))
+  }
+  if (typeof pattern === 'string') {
+    const exp = globToRegExp(pattern.replace(/^\.\//, ''))
+    const byName = !pattern.includes('/')
+    return (absPath) =>
+      exp.test(
+        byName
+          ? path.basename(absPath)
+          : normalize(path.relative(root, absPath))
+      )
+  }
+  throw new Error(
+    `include/exclude should be glob, RegExp or function, got ${typeof pattern}`
+  )
+}
+
+/**
+ * create predicate telling whether a file should be uploaded
+ * @param {object} option
+ * @param {(string|RegExp|function|Array)=} option.include only files matching any of them, all files if not provided
+ * @param {(string|RegExp|function|Array)=} option.exclude files matching any of them are left out
+ * @param {string} root globs are relative to it
+ * @return {(function(string, string): boolean)|null} (absPath, category) => boolean, null if no filter
+ */
+function createFilter(option, root) {
+  const { include, exclude } = option
+  if (!include && !exclude) return null
+  const toMatchers = (patterns) =>
+    [].concat(patterns || []).map((pattern) => toMatcher(pattern, root))
+  const includes = toMatchers(include)
+  const excludes = toMatchers(exclude)
+  return (absPath, category) =>
+    (!includes.length || includes.some((match) => match(absPath, category))) &&
+    !excludes.some((match) => match(absPath, category))
+}
+
+module.exports = {
+  globToRegExp,
+  createFilter,
+}
@@ -0,0 +1,151 @@
+const path = require('path')
+const { read, normalize, generateLocalPathReg } = require('./share')
+const { findReferencedFiles } = require('./rewrite')
+const { logErr } = require('./log')
+
+/**
+ * files among candidates referred to in content of file
+ * matched the same way as they are replaced later
+ * precise mode falls back to RegExp for files it can't parse
+ * @param {string} file
+ * @param {string[]} candidates
+ * @param {object=} precise option for preciseReplace
+ * @return {string[]}
+ */
+function findReferences(file, candidates, precise) {
+  const content = read(file)
+  if (precise) {
+    try {
+      return findReferencedFiles(content, file, candidates, precise).filter(
+        (candidate) => candidate !== file
+      )
+    } catch (e) {
+      // matched by RegExp as it will be replaced
+      logErr(
+        `can't parse ${file}: ${e.message}, upload order by RegExp matches instead`
+      )
+    }
+  }
+  return candidates.filter(
+    (candidate) =>
+      candidate !== file &&
+      // cheap check first
+      content.includes(path.basename(candidate)) &&
+      generateLocalPathReg(normalize(candidate)).test(content)
+  )
+}
+
+/**
+ * @param {string[]} nodes
+ * @param {function(string): string[]} getDeps files a node refers to
+ * @return {Map<string, string[]>} node -> deps, only deps among nodes are kept
+ */
+function buildGraph(nodes, getDeps) {
+  const nodeSet = new Set(nodes)
+  return nodes.reduce((graph, node) => {
+    const deps = Array.from(new Set(getDeps(node))).filter(
+      (dep) => dep !== node && nodeSet.has(dep)
+    )
+    graph.set(node, deps)
+    return graph
+  }, new Map())
+}
+
+/**
+ * strongly connected components, Tarjan's algorithm
+ * components come out with deps before dependents
+ * nodes being visited are kept in a stack of their own, long reference chains
+ * would overflow the call stack with recursion
+ * @param {Map<string, string[]>} graph
+ * @return {string[][]}
+ */
+function getComponents(graph) {
+  let index = 0
+  const indexes = new Map()
+  const lowLinks = new Map()
+  const stack = []
+  const onStack = new Set()
+  const components = []
+  const enter = (node) => {
+    indexes.set(node, index)
+    lowLinks.set(node, index)
+    index++
+    stack.push(node)
+    onStack.add(node)
+  }
+  const connect = (root) => {
+    // node with the position of the next dep to look at
+    const visiting = [{ node: root, next: 0 }]
+    enter(root)
+    while (visiting.length) {
+      const frame = visiting[visiting.length - 1]
+      const { node } = frame
+      const deps = graph.get(node)
+      if (frame.next < deps.length) {
+        const dep = deps[frame.next++]
+        if (!indexes.has(dep)) {
+          enter(dep)
+          visiting.push({ node: dep, next: 0 })
+        } else if (onStack.has(dep)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(dep)))
+        }
+        continue
+      }
+      if (lowLinks.get(node) === indexes.get(node)) {
+        const component = []
+        let member
+        do {
+          member = stack.pop()
+          onStack.delete(member)
+          component.push(member)
+        } while (member !== node)
+        components.push(component)
+      }
+      visiting.pop()
+      if (visiting.length) {
+        const parent = visiting[visiting.length - 1].node
+        lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(node)))
+      }
+    }
+  }
+  graph.forEach((deps, node) => {
+    if (!indexes.has(node)) connect(node)
+  })
+  return components
+}
+
+/**
+ * group nodes into levels, every node comes after all its deps
+ * nodes in a cycle share a level, since there's no right order for them
+ * @param {Map<string, string[]>} graph
+ * @return {{levels: string[][], cycles: string[][]}}
+ */
+function sortByLevel(graph) {
+  const components = getComponents(graph)
+  const levelOf = new Map()
+  const levels = []
+  // deps always come first, so their level is known
+  components.forEach((component) => {
+    const members = new Set(component)
+    const level = component.reduce(
+      (max, node) =>
+        graph
+          .get(node)
+          .filter((dep) => !members.has(dep))
+          .reduce((last, dep) => Math.max(last, levelOf.get(dep) + 1), max),
+      0
+    )
+    component.forEach((node) => levelOf.set(node, level))
+    levels[level] = (levels[level] || []).concat(component)
+  })
+  return {
+    levels: levels.filter(Boolean),
+    cycles: components.filter((component) => component.length > 1),
+  }
+}
+
+module.exports = {
+  findReferences,
+  buildGraph,
+  sortByLevel,
+}
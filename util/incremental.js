@@ -0,0 +1,81 @@
+const fs = require('fs')
+const md5 = require('md5')
+const { read, write } = require('./share')
+
+/**
+ * remember what each file looked like after last run, kept in memory between rebuilds in watch mode
+ * @return {object}
+ */
+function createIncrementalState() {
+  // localPath -> {hash, url, integrity}
+  const entries = new Map()
+  const hashOf = (file) => md5(fs.readFileSync(file))
+  return {
+    get size() {
+      return entries.size
+    },
+    /**
+     * @param {string} file
+     * @return {{hash: string, url: string=, integrity: string=}|undefined}
+     */
+    get(file) {
+      return entries.get(file)
+    },
+    /**
+     * whether file is exactly what was left by last run
+     * @param {string} file
+     * @return {boolean}
+     */
+    isFresh(file) {
+      const entry = entries.get(file)
+      return !!entry && fs.existsSync(file) && entry.hash === hashOf(file)
+    },
+    /**
+     * record current content of file, and its url if uploaded
+     * @param {string} file
+     * @param {string=} url
+     * @param {string=} integrity
+     * @return {{hash: string, url: string=, integrity: string=}|undefined} last record
+     */
+    remember(file, url, integrity) {
+      const last = entries.get(file)
+      entries.set(file, { hash: hashOf(file), url, integrity })
+      return last
+    },
+    clear() {
+      entries.clear()
+    },
+  }
+}
+
+/**
+ * replace urls (and integrity) that changed since last run in files left untouched by webpack
+ * @param {string[]} files
+ * @param {{[from: string]: string}} moved
+ * @param {boolean=} [dryRun=false]
+ * @return {string[]} files whose content changed
+ */
+function replaceMoved(files, moved, dryRun = false) {
+  const from = Object.keys(moved)
+  if (!from.length) return []
+  // longer first, and not followed by more url, so a.js won't hit a.js.map
+  const exp = new RegExp(
+    `(${from
+      .sort((a, b) => b.length - a.length)
+      .map((str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|')})(?![\\w.~%/-])`,
+    'g'
+  )
+  return files.filter((file) => {
+    const content = read(file)
+    const newContent = content.replace(exp, (match) => moved[match])
+    if (newContent === content) return false
+    !dryRun && write(file)(newContent)
+    return true
+  })
+}
+
+module.exports = {
+  createIncrementalState,
+  replaceMoved,
+}
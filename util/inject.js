@@ -0,0 +1,189 @@
+const { name: pjName } = require('./static')
+const {
+  RUNTIME_MAP,
+  getRuntimeOverride,
+  getRuntimeRetry,
+} = require('./runtime')
+const { getLinkHrefAssignExp, getScriptSrcAssignExp } = require('./regexp')
+
+// run after other plugins so their code is already there
+const STAGE = 100
+
+/**
+ * find mini-css-extract-plugin instance from webpack config
+ * @param {object} compiler
+ * @return {function|undefined} MiniCssExtractPlugin class
+ */
+function findMiniCssExtractPlugin(compiler) {
+  const plugin = (compiler.options.plugins || []).find(
+    (p) => p && p.constructor && p.constructor.name === 'MiniCssExtractPlugin'
+  )
+  return plugin && plugin.constructor
+}
+
+/**
+ * @param {boolean} sri
+ * @param {{times: number, fallback: (string|null)}|null} retry
+ * @return {{js: function(string, string): string, css: function(string, string): string}}
+ */
+function getOverrides(sri, retry) {
+  const fallback = !!retry
+  const final = (name) =>
+    retry && retry.fallback ? { name, times: retry.times } : undefined
+  return {
+    js: (element, chunkId) =>
+      getRuntimeOverride({
+        element,
+        attr: 'src',
+        chunkId,
+        url: RUNTIME_MAP.jsUrl,
+        integrity: sri && RUNTIME_MAP.jsIntegrity,
+        fallback: fallback && RUNTIME_MAP.jsFallback,
+        final: final(RUNTIME_MAP.jsFinal),
+      }),
+    css: (element, chunkId) =>
+      getRuntimeOverride({
+        element,
+        attr: 'href',
+        chunkId,
+        url: RUNTIME_MAP.cssUrl,
+        integrity: sri && RUNTIME_MAP.cssIntegrity,
+        fallback: fallback && RUNTIME_MAP.cssFallback,
+        final: final(RUNTIME_MAP.cssFinal),
+      }),
+  }
+}
+
+/**
+ * webpack@5, use hooks provided for script/link creation
+ * @param {object} compiler
+ * @param {object} overrides
+ * @param {function(object): void} markInjected
+ * @param {object|null} retry
+ */
+function injectWebpack5(compiler, overrides, markInjected, retry) {
+  const { RuntimeModule, RuntimeGlobals } = compiler.webpack
+  const { LoadScriptRuntimeModule } = compiler.webpack.runtime
+  // after __webpack_require__.e is defined
+  class RetryRuntimeModule extends RuntimeModule {
+    constructor() {
+      super(`${pjName} retry`, RuntimeModule.STAGE_TRIGGER)
+    }
+
+    generate() {
+      return getRuntimeRetry(retry)
+    }
+  }
+  compiler.hooks.thisCompilation.tap(pjName, (compilation) => {
+    retry &&
+      compilation.hooks.runtimeRequirementInTree
+        .for(RuntimeGlobals.ensureChunk)
+        .tap(pjName, (chunk) => {
+          compilation.addRuntimeModule(chunk, new RetryRuntimeModule())
+        })
+    LoadScriptRuntimeModule.getCompilationHooks(compilation).createScript.tap(
+      pjName,
+      (source) => {
+        markInjected(compilation)
+        return [source, overrides.js('script', 'chunkId')].join('\n')
+      }
+    )
+    const MiniCssExtractPlugin = findMiniCssExtractPlugin(compiler)
+    // beforeTagInsert is available since mini-css-extract-plugin@2.6
+    const cssHooks =
+      MiniCssExtractPlugin &&
+      typeof MiniCssExtractPlugin.getCompilationHooks === 'function' &&
+      MiniCssExtractPlugin.getCompilationHooks(compilation)
+    if (cssHooks && cssHooks.beforeTagInsert) {
+      cssHooks.beforeTagInsert.tap(pjName, (source, { tag, chunkId }) =>
+        [source, overrides.css(tag, chunkId)].join('\n')
+      )
+    }
+  })
+}
+
+/**
+ * add code after the statement matched, indented as the line it's on
+ * @param {string} source
+ * @param {RegExp} exp without groups
+ * @param {string} code
+ * @param {function(): void=} onMatch
+ * @return {string}
+ */
+function insertAfter(source, exp, code, onMatch = () => {}) {
+  return source.replace(exp, (match, offset) => {
+    onMatch()
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1
+    const [indent] = source.slice(lineStart).match(/^[ \t]*/)
+    return [match, ...code.split('\n').map((line) => indent + line)].join('\n')
+  })
+}
+
+/**
+ * webpack@4, patch runtime source before it's minimized
+ * @param {object} compiler
+ * @param {object} overrides
+ * @param {function(object): void} markInjected
+ * @param {object|null} retry
+ */
+function injectWebpack4(compiler, overrides, markInjected, retry) {
+  compiler.hooks.thisCompilation.tap(pjName, (compilation) => {
+    const { mainTemplate } = compilation
+    if (!mainTemplate.hooks || !mainTemplate.hooks.requireEnsure) return
+    // after __webpack_require__.e is defined
+    retry &&
+      mainTemplate.hooks.requireExtensions.tap(pjName, (source) =>
+        [source, getRuntimeRetry(retry)].join('\n')
+      )
+    mainTemplate.hooks.requireEnsure.tap(
+      { name: pjName, stage: STAGE },
+      (source) => {
+        let injected = false
+        // jsonp chunk loading
+        let newSource = insertAfter(
+          source,
+          getScriptSrcAssignExp(),
+          overrides.js('script', 'chunkId'),
+          () => {
+            injected = true
+          }
+        )
+        // mini-css-extract-plugin
+        newSource = insertAfter(
+          newSource,
+          getLinkHrefAssignExp(),
+          overrides.css('linkTag', 'chunkId')
+        )
+        injected && markInjected(compilation)
+        return newSource
+      }
+    )
+  })
+}
+
+/**
+ * let webpack runtime look up cdn url (and integrity) for chunks by itself
+ * instead of patching emitted (maybe minimized) runtime code with RegExp
+ * @param {object} compiler
+ * @param {object=} option
+ * @param {boolean=} option.sri
+ * @param {({times: number, delay: number, fallback: (string|null), event: (string|null)}|null)=} option.retry load a failed chunk again, see resolveRetryOption
+ * @return {function(object): boolean} whether runtime is injected for given compilation
+ */
+function injectRuntimeOverride(compiler, option = {}) {
+  const { sri = false, retry = null } = option
+  const injected = new WeakSet()
+  const markInjected = (compilation) => injected.add(compilation)
+  const overrides = getOverrides(sri, retry)
+  const { webpack } = compiler
+  if (webpack && webpack.runtime && webpack.runtime.LoadScriptRuntimeModule) {
+    injectWebpack5(compiler, overrides, markInjected, retry)
+  } else if (compiler.hooks) {
+    injectWebpack4(compiler, overrides, markInjected, retry)
+  }
+  return (compilation) => injected.has(compilation)
+}
+
+module.exports = {
+  injectRuntimeOverride,
+}
@@ -0,0 +1,89 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { getVariantSource } = require('./compress')
+const { normalize } = require('./share')
+
+/**
+ * normalize keyTemplate option
+ * [project] defaults to name in package.json of webpack context, [env] to webpack mode
+ * @param {(string|{template: string, params: object=})=} keyTemplate
+ * @param {{context: string, mode: string=}} env
+ * @return {{template: string, params: {[name: string]: string}}|null}
+ */
+function resolveKeyOption(keyTemplate, env) {
+  if (!keyTemplate) return null
+  const { template, params = {} } =
+    typeof keyTemplate === 'object' ? keyTemplate : { template: keyTemplate }
+  if (typeof template !== 'string' || !template) {
+    throw new Error('keyTemplate should be a string like [name].[ext]')
+  }
+  const { context, mode } = env
+  let project = ''
+  try {
+    project = JSON.parse(
+      fs.readFileSync(path.join(context, 'package.json'), 'utf8')
+    ).name
+  } catch (e) {
+    // no package.json, use name of the directory
+  }
+  return {
+    template,
+    params: Object.assign(
+      {
+        project: project || path.basename(context),
+        env: mode || process.env.NODE_ENV || 'production',
+      },
+      params
+    ),
+  }
+}
+
+/**
+ * object key of each file, from final content
+ * variant of a file gets key of the file with its extension, like key.gz
+ * @param {{template: string, params: object}} option
+ * @param {object} context
+ * @param {string} context.root output path, for [path]
+ * @param {function(string): string} context.getCategory
+ * @return {function(string): string}
+ */
+function createKeyResolver(option, context) {
+  const { template, params } = option
+  const { root, getCategory } = context
+  return function getKey(file) {
+    const variant = getVariantSource(file)
+    if (variant) return `${getKey(variant.source)}${path.extname(file)}`
+    const ext = path.extname(file)
+    const dir = normalize(path.relative(root, path.dirname(file)))
+    const hash = crypto
+      .createHash('md5')
+      .update(fs.readFileSync(file))
+      .digest('hex')
+    const values = Object.assign({}, params, {
+      category: getCategory(file) || 'other',
+      name: path.basename(file, ext),
+      ext: ext.slice(1),
+      // root of output path, or out of it like templates from src
+      path: dir === '.' || dir.startsWith('..') ? '' : dir,
+    })
+    return (
+      template
+        .replace(/\[contenthash(?::(\d+))?\]/g, (_, length) =>
+          length ? hash.slice(0, Number(length)) : hash
+        )
+        .replace(/\[(\w+)\]/g, (match, name) =>
+          values[name] === undefined ? match : `${values[name]}`
+        )
+        // empty [path] or "./" in template
+        .split('/')
+        .filter((part) => part && part !== '.')
+        .join('/')
+    )
+  }
+}
+
+module.exports = {
+  resolveKeyOption,
+  createKeyResolver,
+}
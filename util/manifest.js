@@ -0,0 +1,151 @@
+const fs = require('fs')
+const path = require('path')
+const fse = require('fs-extra')
+const md5 = require('md5')
+const { normalize } = require('./share')
+
+const DEFAULT_MANIFEST_NAME = 'upload-manifest.json'
+// assets registered later than these hooks never reach stats
+const ASSET_HOOKS = ['processAssets', 'emit', 'afterEmit']
+
+/**
+ * normalize emitManifest option
+ * @param {boolean|string|{filename: string=, asset: boolean=}} emitManifest
+ * @param {string} outputPath
+ * @return {{filename: string, asset: boolean}|null}
+ */
+function resolveManifestOption(emitManifest, outputPath) {
+  if (!emitManifest) return null
+  const option =
+    typeof emitManifest === 'object'
+      ? emitManifest
+      : {
+          filename: typeof emitManifest === 'string' ? emitManifest : '',
+        }
+  const { filename = DEFAULT_MANIFEST_NAME, asset = false } = option
+  return {
+    filename: path.resolve(outputPath, filename || DEFAULT_MANIFEST_NAME),
+    asset,
+  }
+}
+
+/**
+ * manifest as webpack asset only makes sense when the plugin runs before assets are done
+ * @param {(boolean|string|{asset: boolean=})=} emitManifest
+ * @param {string} compilerHooks
+ */
+function checkManifestAsset(emitManifest, compilerHooks) {
+  if (
+    emitManifest &&
+    emitManifest.asset &&
+    !ASSET_HOOKS.includes(compilerHooks)
+  ) {
+    throw new Error(
+      `emitManifest.asset needs compilerHooks "processAssets", "emit" or "afterEmit", assets are done at "${compilerHooks}"`
+    )
+  }
+}
+
+/**
+ * describe one uploaded file
+ * content is read after uploading, so it's the same as what the cdn got
+ * @param {string} localPath
+ * @param {string} url
+ * @param {string} category
+ * @param {(string|number)=} chunkId
+ * @param {{[algorithm: string]: string}=} variants urls of precompressed variants
+ * @param {{[target: string]: string}=} mirrors urls from mirror cdn targets
+ * @param {string=} key object key from keyTemplate
+ * @return {{localPath: string, url: string, hash: string, size: number, category: string, chunkId: (string|number)=, variants: object=, mirrors: object=, key: string=}}
+ */
+function getManifestEntry(
+  localPath,
+  url,
+  category,
+  chunkId,
+  variants,
+  mirrors,
+  key
+) {
+  const content = fs.readFileSync(localPath)
+  const entry = {
+    localPath: normalize(localPath),
+    url,
+    hash: md5(content),
+    size: content.length,
+    category,
+  }
+  if (chunkId !== undefined) {
+    entry.chunkId = chunkId
+  }
+  if (variants) {
+    entry.variants = variants
+  }
+  if (mirrors) {
+    entry.mirrors = mirrors
+  }
+  if (key) {
+    entry.key = key
+  }
+  return entry
+}
+
+/**
+ * generate manifest object keyed by path relative to root
+ * @param {[string, string][]} local2CdnPairs
+ * @param {function(string): string} getCategory
+ * @param {function(string): (string|number)} getChunkId
+ * @param {string} root
+ * @param {function(string): ({[algorithm: string]: string}|undefined)} [getVariants]
+ * @param {function(string): ({[target: string]: string}|undefined)} [getMirrors]
+ * @param {function(string): (string|undefined)} [getKey]
+ * @return {{[relativePath: string]: object}}
+ */
+function generateManifest(
+  local2CdnPairs,
+  getCategory,
+  getChunkId,
+  root,
+  getVariants = () => undefined,
+  getMirrors = () => undefined,
+  getKey = () => undefined
+) {
+  return local2CdnPairs.reduce((last, [localPath, url]) => {
+    const category = getCategory(localPath)
+    const chunkId = ['chunk', 'entry'].includes(category)
+      ? getChunkId(localPath)
+      : undefined
+    const key = normalize(path.relative(root, localPath))
+    last[key] = getManifestEntry(
+      localPath,
+      url,
+      category,
+      chunkId,
+      getVariants(localPath),
+      getMirrors(localPath),
+      getKey(localPath)
+    )
+    return last
+  }, {})
+}
+
+/**
+ * write manifest to disk
+ * @param {string} filename
+ * @param {object} manifest
+ * @return {string} content written
+ */
+function writeManifest(filename, manifest) {
+  const content = JSON.stringify(manifest, null, 2)
+  fse.ensureFileSync(filename)
+  fs.writeFileSync(filename, content)
+  return content
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_NAME,
+  resolveManifestOption,
+  checkManifestAsset,
+  generateManifest,
+  writeManifest,
+}
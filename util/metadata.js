@@ -0,0 +1,151 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { getMimeType } = require('./mime')
+const { getVariantSource } = require('./compress')
+
+const HASHED_CACHE_CONTROL = 'public, max-age=31536000, immutable'
+const UNHASHED_CACHE_CONTROL = 'no-cache'
+// digests files are named after by build tools, md4 is the default of webpack@4 and file-loader
+const DIGESTS = ['md4', 'md5', 'sha1', 'sha256']
+
+/**
+ * hex digests of content, algorithms missing in this node are skipped
+ * @param {string} file
+ * @return {string[]}
+ */
+function getContentDigests(file) {
+  if (!fs.existsSync(file)) return []
+  const content = fs.readFileSync(file)
+  return DIGESTS.reduce((last, algorithm) => {
+    try {
+      last.push(crypto.createHash(algorithm).update(content).digest('hex'))
+    } catch (e) {
+      // not supported
+    }
+    return last
+  }, [])
+}
+
+/**
+ * whether file name carries (the start of) a hash webpack gave it, or of its own content
+ * a word like "facade" is hex as well, so it has to be an actual hash
+ * @param {string} file
+ * @param {string[]=} hashes from webpack, like [contenthash] and [chunkhash] of the file
+ * @param {string=} name checked instead of file name, like the object key of the file
+ * @return {boolean}
+ */
+function isHashedFile(file, hashes = [], name = path.basename(file)) {
+  const parts = name.toLowerCase().match(/[a-f0-9]{4,}/g)
+  if (!parts) return false
+  const isPartOf = (list) =>
+    parts.some((part) => list.some((hash) => hash.startsWith(part)))
+  return (
+    isPartOf(hashes.map((hash) => `${hash}`.toLowerCase())) ||
+    isPartOf(getContentDigests(file))
+  )
+}
+
+/**
+ * @param {RegExp|function(string): boolean} test
+ * @param {string} file
+ * @return {boolean}
+ */
+function matchRule(test, file) {
+  if (typeof test === 'function') return !!test(file)
+  if (test instanceof RegExp)
+    return new RegExp(test.source, test.flags.replace('g', '')).test(file)
+  return false
+}
+
+/**
+ * merge headers, names are case insensitive and the latter wins
+ * @param {object} target
+ * @param {object} headers
+ * @return {object}
+ */
+function assignHeaders(target, headers) {
+  Object.keys(headers).forEach((name) => {
+    Object.keys(target)
+      .filter((existing) => existing.toLowerCase() === name.toLowerCase())
+      .forEach((existing) => delete target[existing])
+    target[name] = headers[name]
+  })
+  return target
+}
+
+/**
+ * normalize metadata option
+ * @param {({test: (RegExp|function(string): boolean), headers: (object|function(string): object)}[]|{rules: object[]=, isHashed: (function(string): boolean)=}|boolean)=} metadata
+ * @return {{rules: object[], isHashed: (function(string): boolean)=}|null} isHashed is left to the build when not given
+ */
+function resolveMetadataOption(metadata) {
+  if (!metadata) return null
+  const { rules = [], isHashed } = Array.isArray(metadata)
+    ? { rules: metadata }
+    : typeof metadata === 'object'
+    ? metadata
+    : {}
+  return { rules, isHashed }
+}
+
+/**
+ * create function resolving headers for a file
+ * Content-Type comes from extension
+ * Cache-Control depends on whether file name contains hash
+ * then headers of every matching rule are merged in order
+ * precompressed variants share metadata with the original file, plus Content-Encoding
+ * @param {{rules: object[], isHashed: (function(string): boolean)=}} option
+ * @param {function(string): boolean=} isHashedByBuild used when isHashed is not given
+ * @return {function(string): object}
+ */
+function createMetadataResolver(option, isHashedByBuild = isHashedFile) {
+  const { rules, isHashed = isHashedByBuild } = option
+  return function getMetadata(file) {
+    const variant = getVariantSource(file)
+    const source = variant ? variant.source : file
+    const headers = {
+      'Content-Type': getMimeType(source),
+      'Cache-Control': isHashed(source)
+        ? HASHED_CACHE_CONTROL
+        : UNHASHED_CACHE_CONTROL,
+    }
+    if (variant) {
+      headers['Content-Encoding'] = variant.encoding
+    }
+    return rules
+      .filter(({ test }) => matchRule(test, source))
+      .reduce(
+        (last, rule) =>
+          assignHeaders(
+            last,
+            typeof rule.headers === 'function'
+              ? rule.headers(source)
+              : rule.headers || {}
+          ),
+        headers
+      )
+  }
+}
+
+/**
+ * find header regardless of case
+ * @param {object=} headers
+ * @param {string} name
+ * @return {string|undefined}
+ */
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(
+    (existing) => existing.toLowerCase() === name.toLowerCase()
+  )
+  return key === undefined ? undefined : headers[key]
+}
+
+module.exports = {
+  HASHED_CACHE_CONTROL,
+  UNHASHED_CACHE_CONTROL,
+  isHashedFile,
+  resolveMetadataOption,
+  createMetadataResolver,
+  getHeader,
+}
@@ -0,0 +1,47 @@
+const path = require('path')
+
+const DEFAULT_MIME = 'application/octet-stream'
+
+// extension -> Content-Type
+const MIME_TYPES = {
+  html: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  js: 'application/javascript; charset=utf-8',
+  mjs: 'application/javascript; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  map: 'application/json; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  xml: 'application/xml',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  eot: 'application/vnd.ms-fontobject',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  wasm: 'application/wasm',
+}
+
+/**
+ * get Content-Type based on file extension
+ * @param {string} file
+ * @return {string}
+ */
+function getMimeType(file) {
+  const ext = path.extname(file).slice(1).toLowerCase()
+  return MIME_TYPES[ext] || DEFAULT_MIME
+}
+
+module.exports = {
+  DEFAULT_MIME,
+  MIME_TYPES,
+  getMimeType,
+}
@@ -0,0 +1,138 @@
+const { getIdForChunk, updateCssLoad, updateScriptSrc } = require('../util')
+const { getCdnBase } = require('../publicPath')
+
+/**
+ * @param {{[localPath: string]: string}} pairs
+ * @param {string[]} files
+ * @return {{[localPath: string]: string}} pairs of files uploaded
+ */
+function pickPairs(pairs, files) {
+  return files.reduce((last, file) => {
+    if (pairs[file]) last[file] = pairs[file]
+    return last
+  }, {})
+}
+
+/**
+ * update chunkMap to {[id: string|number]: cdnUrl}
+ * @param {object} ctx see createRunContext
+ * @param {{[localPath: string]: string}} chunkPairs
+ * @param {{[id: string|number]: string}} chunkMap
+ * @return {{[id: string|number]: string}}
+ */
+function generateChunkMapToCDN(ctx, chunkPairs, chunkMap) {
+  return ctx
+    .getLocal2CdnObj(chunkPairs)
+    .reduce((last, [localPath, cdnPath]) => {
+      const id = getIdForChunk(localPath, chunkMap)
+      if (id !== undefined) {
+        last[id] = cdnPath
+      }
+      return last
+    }, {})
+}
+
+/**
+ * whether every chunk known to webpack runtime got a cdn url
+ * @param {object} ctx see createRunContext
+ * @param {{[localPath: string]: string}} pairs uploaded so far
+ * @return {boolean}
+ */
+function isEveryChunkUploaded(ctx, pairs) {
+  const { chunkMap, cssChunkMap } = ctx
+  const uploaded = Object.keys(pairs).filter((file) => pairs[file])
+  const isUploaded = (map) => (id) =>
+    uploaded.some((file) => getIdForChunk(file, map) === id)
+  return (
+    Object.keys(chunkMap).every(isUploaded(chunkMap)) &&
+    Object.keys(cssChunkMap).every(isUploaded(cssChunkMap))
+  )
+}
+
+/**
+ * what webpack runtime prefixes chunk names with, undefined to leave it alone
+ * chunks left out, like excluded ones, load from local publicPath then
+ * @param {object} ctx see createRunContext
+ * @param {object} files see collectFiles
+ * @param {{[localPath: string]: string}} pairs uploaded so far
+ * @return {string=}
+ */
+function getRuntimePublicPath(ctx, files, pairs) {
+  const { runtimePublicPath, getLocal2CdnObj, outputPath } = ctx
+  if (!runtimePublicPath || !isEveryChunkUploaded(ctx, pairs)) return undefined
+  if (typeof runtimePublicPath === 'string') return runtimePublicPath
+  const base = getCdnBase(
+    getLocal2CdnObj(pickPairs(pairs, [...files.chunkArrWAbs, ...files.cssArr])),
+    outputPath
+  )
+  return base === null ? undefined : base
+}
+
+/**
+ * fill css chunk maps of mini-css-extract-plugin runtime in targets
+ * @param {object} ctx see createRunContext
+ * @param {string[]} targets files with the runtime
+ * @param {object} files see collectFiles
+ * @param {{[localPath: string]: string}} pairs uploaded so far
+ * @param {string} phase
+ */
+function fillCssLoad(ctx, targets, files, pairs, phase) {
+  const {
+    getLocal2CdnObj,
+    cssChunkMap,
+    dryRun,
+    urlIntegrity,
+    urlFallbacks,
+    urlFinal,
+    recordRewrites,
+  } = ctx
+  const cssPairs = pickPairs(pairs, files.cssArr)
+  recordRewrites(phase)(
+    updateCssLoad(
+      targets,
+      getLocal2CdnObj(cssPairs),
+      getRuntimePublicPath(ctx, files, pairs),
+      dryRun,
+      urlIntegrity,
+      generateChunkMapToCDN(ctx, cssPairs, cssChunkMap),
+      urlFallbacks,
+      urlFinal
+    )
+  )
+}
+
+/**
+ * fill js chunk maps of webpack runtime in targets
+ * @param {object} ctx see createRunContext
+ * @param {string[]} targets files with the runtime
+ * @param {object} files see collectFiles
+ * @param {{[localPath: string]: string}} pairs uploaded so far
+ * @param {string} phase
+ * @return {Promise<Array>}
+ */
+function fillScriptSrc(ctx, targets, files, pairs, phase) {
+  const {
+    chunkMap,
+    dryRun,
+    urlIntegrity,
+    urlFallbacks,
+    urlFinal,
+    recordRewrites,
+  } = ctx
+  return updateScriptSrc(
+    targets,
+    generateChunkMapToCDN(ctx, pickPairs(pairs, files.jsArr), chunkMap),
+    dryRun,
+    urlIntegrity,
+    getRuntimePublicPath(ctx, files, pairs),
+    urlFallbacks,
+    urlFinal
+  ).then(recordRewrites(phase))
+}
+
+module.exports = {
+  pickPairs,
+  getRuntimePublicPath,
+  fillCssLoad,
+  fillScriptSrc,
+}
@@ -0,0 +1,181 @@
+const {
+  getExistsAtFromAsset,
+  isEntryChunk,
+  gatherFileIn,
+  getObjValueArray,
+} = require('../util')
+const { log } = require('../log')
+
+/**
+ * assets from staticDir, instead of the ones from webpack
+ * an array of directories is gathered recursively
+ * @param {object} ctx see createRunContext
+ * @return {object} {[localPath]: {existsAt}}
+ */
+function gatherStaticAssets(ctx) {
+  const { staticDir, types, resolveList, sourceMapOption } = ctx
+  const gatherManualAssets = Array.isArray(staticDir)
+    ? (type) => {
+        return staticDir.reduce((last, dir) => {
+          return [...last, ...gatherFileIn(dir)(type)]
+        }, [])
+      }
+    : gatherFileIn(staticDir)
+  return [
+    ...types.getExtensions(),
+    ...resolveList,
+    ...(sourceMapOption ? ['map'] : []),
+  ].reduce((last, type) => {
+    const files = gatherManualAssets(type)
+    return files.reduce((fileLast, file) => {
+      return Object.assign(fileLast, {
+        [file]: {
+          existsAt: file,
+        },
+      })
+    }, last)
+  }, {})
+}
+
+/**
+ * classify files of the run by category
+ * @param {object} ctx see createRunContext
+ * @param {object} buildAssets assets of the build, {[name]: {existsAt}}
+ * @return {object} files of each kind, with fileCategory {[localPath]: category}
+ */
+function collectFiles(ctx, buildAssets) {
+  const {
+    staticDir,
+    src,
+    resolveList,
+    types,
+    getAssetCategory,
+    isIncluded,
+    manifestOption,
+    reportFile,
+    chunkMap,
+    report,
+    stats,
+  } = ctx
+  // all assets including js/css/img
+  const assets = staticDir ? gatherStaticAssets(ctx) : buildAssets
+  // files left out by include/exclude, they keep local reference
+  const excluded = []
+  const filterIncluded = (category) => (location) => {
+    if (!isIncluded || isIncluded(location, category)) return true
+    excluded.push(location)
+    return false
+  }
+  // {[localPath]: category}
+  const fileCategory = {}
+  // classify assets
+  const desireAssets = Object.keys(assets).reduce(
+    (last, name) => {
+      try {
+        const assetInfo = assets[name]
+        const location = assetInfo.existsAt
+        // manifest or report from last build
+        if (
+          (manifestOption && location === manifestOption.filename) ||
+          location === reportFile
+        ) {
+          return last
+        }
+        const category = getAssetCategory(location)
+        if (category && filterIncluded(category)(location)) {
+          last[category] = Object.assign({}, last[category], {
+            [name]: assetInfo,
+          })
+          fileCategory[location] = category
+        }
+      } catch (e) {
+        // ignore
+      }
+      return last
+    },
+    {
+      css: {},
+      js: {},
+      html: {},
+      map: {},
+    }
+  )
+
+  const { css, js, html, map } = desireAssets
+
+  // warning if no template found but staticDir set
+  if (staticDir && !Object.keys(html).length && !src) {
+    log('WARNING!')
+    log(
+      "staticDir is set but haven't found any template files in those directories"
+    )
+    log('Try to use src filed to include your template files')
+  }
+
+  // everything to upload
+  const assetArr = types.categories.reduce(
+    (last, category) =>
+      last.concat(getExistsAtFromAsset(desireAssets[category] || {})),
+    []
+  )
+  const jsArr = getExistsAtFromAsset(js)
+  const chunkArr = getObjValueArray(chunkMap)
+  const commonChunksArr = jsArr.filter(isEntryChunk)
+  // if provide with src
+  // then use it
+  // or use emitted html files
+  const tplFiles = !src
+    ? getExistsAtFromAsset(html)
+    : resolveList.reduce((last, type) => {
+        const findFileInRoot = gatherFileIn(src)
+        last = last.concat(findFileInRoot(type).filter(filterIncluded('html')))
+        return last
+      }, [])
+  if (excluded.length) {
+    log(`${excluded.length} file(s) excluded, kept local:`)
+    excluded.forEach((file) => log(`  ${file}`))
+    report && report.addExcluded(excluded)
+    stats && stats.addExcluded(excluded)
+  }
+
+  // find out which js files are chunk chunk, common chunk, or entry
+  const { notChunkJsArr, chunkArrWAbs, commonChunksWAbs } = jsArr.reduce(
+    (last, js) => {
+      const isCommonChunk = commonChunksArr.some(
+        (chunk) => js.indexOf(chunk) > -1
+      )
+      const isChunk =
+        !isCommonChunk && chunkArr.some((chunk) => js.indexOf(chunk) > -1)
+      if (isCommonChunk) {
+        last.commonChunksWAbs.push(js)
+      } else if (isChunk) {
+        last.chunkArrWAbs.push(js)
+      } else {
+        last.notChunkJsArr.push(js)
+      }
+      return last
+    },
+    {
+      notChunkJsArr: [],
+      chunkArrWAbs: [],
+      commonChunksWAbs: [],
+    }
+  )
+
+  return {
+    fileCategory,
+    excluded,
+    assetArr,
+    jsArr,
+    cssArr: getExistsAtFromAsset(css),
+    mapArr: getExistsAtFromAsset(map),
+    tplFiles,
+    notChunkJsArr,
+    chunkArrWAbs,
+    commonChunksWAbs,
+  }
+}
+
+module.exports = {
+  collectFiles,
+}
@@ -0,0 +1,20 @@
+// steps of a run, in the order they are taken
+// each one takes the run context built by createPipeline
+const { collectFiles } = require('./collect')
+const { createUploader } = require('./upload')
+const { createRewriter } = require('./rewrite')
+const { uploadSourceMaps } = require('./sourceMaps')
+const { sortFiles, uploadByLevel } = require('./levels')
+const { rewriteTemplates } = require('./templates')
+const { emitUploadManifest } = require('./manifest')
+
+module.exports = {
+  collectFiles,
+  createUploader,
+  createRewriter,
+  uploadSourceMaps,
+  sortFiles,
+  uploadByLevel,
+  rewriteTemplates,
+  emitUploadManifest,
+}
@@ -0,0 +1,121 @@
+const { simpleReplace } = require('../util')
+const { log, logErr } = require('../log')
+const { findReferences, buildGraph, sortByLevel } = require('../graph')
+const { fillCssLoad, fillScriptSrc } = require('./chunkMaps')
+
+/**
+ * files referring to chunks through chunk map in webpack runtime
+ * @param {object} ctx see createRunContext
+ * @param {object} files see collectFiles
+ * @return {string[]}
+ */
+function getRuntimeFiles(ctx, files) {
+  return [
+    ...files.commonChunksWAbs,
+    ...(ctx.dirtyCheck ? files.notChunkJsArr : []),
+  ]
+}
+
+/**
+ * who refers to whom, so every file is rewritten with urls of what it refers to
+ * before being uploaded, that is before its own hash/url is known
+ * @param {object} ctx see createRunContext
+ * @param {object} files see collectFiles
+ * @return {{levels: string[][], cycles: string[][]}}
+ */
+function sortFiles(ctx, files) {
+  const { types, preciseOption, report, stats, enterPhase } = ctx
+  const { assetArr, fileCategory, chunkArrWAbs, cssArr } = files
+  const runtimeArr = getRuntimeFiles(ctx, files)
+  enterPhase('graph', assetArr)
+  const graph = buildGraph(assetArr, (file) => [
+    ...(types.shouldRewrite(fileCategory[file])
+      ? findReferences(file, assetArr, preciseOption)
+      : []),
+    ...(runtimeArr.includes(file) ? [...chunkArrWAbs, ...cssArr] : []),
+  ])
+  const sorted = sortByLevel(graph)
+  const { cycles } = sorted
+  // not an error, each cycle is uploaded as one level
+  if (cycles.length) {
+    logErr(
+      `${cycles.length} reference cycle(s) found, references within them stay local:`
+    )
+    cycles.forEach((cycle) => logErr(`  ${cycle.join(' <-> ')}`))
+    report && report.addCycles(cycles)
+    stats && stats.addCycles(cycles)
+  }
+  return sorted
+}
+
+/**
+ * upload level by level, each level rewritten with urls of former ones first
+ * @param {object} ctx see createRunContext
+ * @param {object} files see collectFiles
+ * @return {Promise<{[localPath: string]: string}>} everything uploaded
+ */
+async function uploadByLevel(ctx, files) {
+  const {
+    types,
+    isChanged,
+    canRefill,
+    preciseOption,
+    enterPhase,
+    track,
+    asyncCSS,
+    dryRun,
+    getLocal2CdnObj,
+    upload,
+    recordRewrites,
+    refinedReplaceFn,
+    getReplaceOption,
+  } = ctx
+  const { fileCategory } = files
+  const runtimeArr = getRuntimeFiles(ctx, files)
+  const { levels } = sortFiles(ctx, files)
+  const allLocal2CdnObj = {}
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i]
+    const levelPhase = `level ${i + 1}`
+    // replace references to files uploaded in former levels
+    const toRewrite = level
+      .filter((file) => types.shouldRewrite(fileCategory[file]))
+      .filter(isChanged)
+    // precise mode reports unresolved references even with nothing to replace
+    if ((i > 0 || preciseOption) && toRewrite.length) {
+      enterPhase(levelPhase, toRewrite)
+      track(toRewrite)
+      await Promise.all(
+        toRewrite.map((location) =>
+          simpleReplace(
+            location,
+            location,
+            refinedReplaceFn,
+            true,
+            dryRun,
+            getReplaceOption(location)
+          )(getLocal2CdnObj(allLocal2CdnObj))
+        )
+      ).then(recordRewrites(levelPhase))
+    }
+    // fill chunk maps, all chunks are uploaded in former levels
+    const runtimeFiles = level
+      .filter((file) => runtimeArr.includes(file))
+      .filter(canRefill)
+    if (runtimeFiles.length) {
+      enterPhase(levelPhase, runtimeFiles)
+      track(runtimeFiles)
+      asyncCSS &&
+        fillCssLoad(ctx, runtimeFiles, files, allLocal2CdnObj, levelPhase)
+      await fillScriptSrc(ctx, runtimeFiles, files, allLocal2CdnObj, levelPhase)
+    }
+    log(`uploading ${levelPhase}/${levels.length}...`)
+    Object.assign(allLocal2CdnObj, await upload(levelPhase, level))
+  }
+  return allLocal2CdnObj
+}
+
+module.exports = {
+  sortFiles,
+  uploadByLevel,
+}
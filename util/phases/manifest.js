@@ -0,0 +1,70 @@
+const path = require('path')
+const { getIdForChunk } = require('../util')
+const { log } = require('../log')
+const { generateManifest, writeManifest } = require('../manifest')
+
+/**
+ * {[name]: url} of a file with urlCb applied, undefined when there's none
+ * @param {object} ctx see createRunContext
+ * @param {{[localPath: string]: object}} urls
+ * @return {function(string): object=}
+ */
+const getUrlsOf = (ctx, urls) => (localPath) =>
+  urls[localPath] &&
+  Object.keys(urls[localPath]).reduce(
+    (last, name) =>
+      Object.assign(last, {
+        [name]: ctx.urlCb(urls[localPath][name], localPath),
+      }),
+    {}
+  )
+
+/**
+ * keep local -> cdn result for backend usage
+ * @param {object} ctx see createRunContext
+ * @param {object} files see collectFiles
+ * @param {{[localPath: string]: string}} pairs everything uploaded, source maps included
+ */
+function emitUploadManifest(ctx, files, pairs) {
+  const {
+    manifestOption,
+    enterPhase,
+    track,
+    getLocal2CdnObj,
+    chunkMap,
+    outputPath,
+    variantUrls,
+    mirrorUrls,
+    getKey,
+    emitAsset,
+  } = ctx
+  const { commonChunksWAbs, chunkArrWAbs, fileCategory } = files
+  enterPhase('manifest', [manifestOption.filename])
+  track([manifestOption.filename])
+  const getCategory = (localPath) => {
+    if (commonChunksWAbs.includes(localPath)) return 'entry'
+    if (chunkArrWAbs.includes(localPath)) return 'chunk'
+    return fileCategory[localPath] || 'js'
+  }
+  const manifest = generateManifest(
+    getLocal2CdnObj(pairs),
+    getCategory,
+    (localPath) => getIdForChunk(localPath, chunkMap),
+    outputPath,
+    getUrlsOf(ctx, variantUrls),
+    getUrlsOf(ctx, mirrorUrls),
+    getKey || undefined
+  )
+  const manifestContent = writeManifest(manifestOption.filename, manifest)
+  log(`manifest emitted to ${manifestOption.filename}`)
+  if (manifestOption.asset && emitAsset) {
+    emitAsset(
+      path.relative(outputPath, manifestOption.filename),
+      manifestContent
+    )
+  }
+}
+
+module.exports = {
+  emitUploadManifest,
+}
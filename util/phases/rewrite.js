@@ -0,0 +1,77 @@
+const path = require('path')
+const { addIntegrityToTags } = require('../sri')
+const { addFallbackToTags } = require('../fallback')
+const { getPublicPathConcatExp } = require('../regexp')
+const { logErr } = require('../log')
+
+/**
+ * how references are replaced in files of the run, and what is recorded
+ * @param {object} ctx see createRunContext
+ * @return {{recordRewrites: function(string): function(Array): Array, refinedReplaceFn: function(string, string): string, getReplaceOption: function(string): object}}
+ */
+function createRewriter(ctx) {
+  const {
+    replaceFn,
+    resolveList,
+    isJs,
+    isTemplate,
+    sriAlgorithm,
+    urlIntegrity,
+    urlFallbacks,
+    preciseOption,
+    publicPath,
+    unresolved,
+    report,
+    stats,
+  } = ctx
+  const recordRewrites = (phase) => (results) => {
+    results.forEach((result) => {
+      if (result.fallback) {
+        logErr(`${result.fallback}, references matched by RegExp instead`)
+      }
+      if (result.unresolved && result.unresolved.length) {
+        unresolved[result.distPath] = result.unresolved
+      }
+    })
+    const recorder = report || stats
+    recorder &&
+      results.forEach((result) => {
+        if (typeof result === 'string') {
+          recorder.addRewrite(phase, result)
+        } else if (result.changes.length) {
+          recorder.addRewrite(phase, result.distPath, result.changes)
+        }
+      })
+    return results
+  }
+  // publicPath goes away together with local references replaced by cdn url
+  // others, like excluded files, keep it
+  // only for css/template files, it's tricky to handle js files
+  const removePublicPathTypes = ['.css', ...resolveList.map((t) => `.${t}`)]
+  const isPublicPathRemovable = (location) =>
+    removePublicPathTypes.includes(path.extname(location))
+  // actual replaceFn that gonna be used
+  const refinedReplaceFn = (content, location) => {
+    const replaced = replaceFn(content, location)
+    if (isJs(location)) {
+      // __webpack_require__.p + "https://..."
+      return replaced.replace(getPublicPathConcatExp(), '$1')
+    }
+    if (!isTemplate(location)) return replaced
+    const withIntegrity = sriAlgorithm
+      ? addIntegrityToTags(replaced, urlIntegrity)
+      : replaced
+    return addFallbackToTags(withIntegrity, urlFallbacks)
+  }
+  // publicPath is matched in front of local paths, so "/static/bundle.js" is found
+  // precise mode resolves it by itself, unless it falls back to RegExp
+  const getReplaceOption = (location) => ({
+    precise: preciseOption,
+    publicPath: isPublicPathRemovable(location) ? publicPath : '',
+  })
+  return { recordRewrites, refinedReplaceFn, getReplaceOption }
+}
+
+module.exports = {
+  createRewriter,
+}
@@ -0,0 +1,54 @@
+const { log } = require('../log')
+const { normalize } = require('../share')
+const { updateSourceMapComment } = require('../sourceMap')
+
+/**
+ * source maps go first, js/css need their url
+ * @param {object} ctx see createRunContext
+ * @param {object} files see collectFiles
+ * @return {Promise<{[localPath: string]: string}>} uploaded source maps
+ */
+async function uploadSourceMaps(ctx, files) {
+  const {
+    sourceMapOption,
+    upload,
+    cdn,
+    mapCdn,
+    getLocal2CdnObj,
+    isChanged,
+    track,
+    recordRewrites,
+    dryRun,
+  } = ctx
+  const { mapArr, jsArr, cssArr } = files
+  const { mode } = sourceMapOption
+  let mapPairs = {}
+  if (mode !== 'strip') {
+    log('uploading source maps...')
+    mapPairs = await upload(
+      'source maps',
+      mapArr,
+      mode === 'hidden' ? mapCdn : cdn
+    )
+  }
+  const mapUrls = getLocal2CdnObj(mapPairs).reduce(
+    (last, [localPath, cdnPath]) =>
+      Object.assign(last, { [normalize(localPath)]: cdnPath }),
+    {}
+  )
+  const filesWithMap = [...jsArr, ...cssArr].filter(isChanged)
+  track(filesWithMap)
+  // keep the comment only when map is public
+  recordRewrites('source maps')(
+    updateSourceMapComment(
+      filesWithMap,
+      (mapPath) => (mode === 'upload' ? mapUrls[mapPath] : null),
+      dryRun
+    )
+  )
+  return mapPairs
+}
+
+module.exports = {
+  uploadSourceMaps,
+}
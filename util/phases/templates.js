@@ -0,0 +1,96 @@
+const fs = require('fs')
+const { simpleReplace, isEntryChunk, mapSrcToDist } = require('../util')
+const { log } = require('../log')
+const { replaceMoved } = require('../incremental')
+const { fillCssLoad, fillScriptSrc } = require('./chunkMaps')
+
+/**
+ * templates come last, nothing refers to them
+ * @param {object} ctx see createRunContext
+ * @param {object} files see collectFiles
+ * @param {{[localPath: string]: string}} pairs everything uploaded
+ * @return {Promise<void>}
+ */
+async function rewriteTemplates(ctx, files, pairs) {
+  const {
+    asyncCSS,
+    runtimeChunk,
+    canRefill,
+    isChanged,
+    track,
+    session,
+    member,
+    enterPhase,
+    srcRoot,
+    distRoot,
+    isRebuild,
+    moved,
+    isIncremental,
+    incrementalState,
+    forceCopyTemplate,
+    dryRun,
+    getLocal2CdnObj,
+    recordRewrites,
+    refinedReplaceFn,
+    getReplaceOption,
+  } = ctx
+  const { tplFiles } = files
+  if (asyncCSS) {
+    // async css loading may appear in html
+    const cssLoadFiles = tplFiles.filter(canRefill)
+    track(cssLoadFiles)
+    fillCssLoad(ctx, cssLoadFiles, files, pairs, 'templates')
+  }
+  // having runtimeChunk means entry js is likely inlined
+  // therefore template files need to be checked for chunkMap existence
+  const isEntryInline = !!runtimeChunk
+  const entryTplList = isEntryInline
+    ? tplFiles.filter(isEntryChunk).filter(canRefill)
+    : []
+  if (entryTplList.length) {
+    track(entryTplList)
+    await fillScriptSrc(ctx, entryTplList, files, pairs, 'templates')
+  }
+  // templates refer to files of other compilers as well
+  if (session) {
+    enterPhase('session')
+    log('waiting for other compilers...')
+    await session.finish(member, pairs)
+  }
+  const tplLocal2CdnObj = session
+    ? Object.assign(session.getMap(), pairs)
+    : pairs
+  enterPhase('templates', tplFiles)
+  track(tplFiles.map((file) => mapSrcToDist(file, srcRoot, distRoot)))
+  // templates untouched since last run only need urls changed since then
+  const isTplChanged = (filePath) =>
+    isChanged(filePath) ||
+    !fs.existsSync(mapSrcToDist(filePath, srcRoot, distRoot))
+  isRebuild &&
+    replaceMoved(
+      tplFiles
+        .filter((filePath) => !isTplChanged(filePath))
+        .map((filePath) => mapSrcToDist(filePath, srcRoot, distRoot)),
+      moved
+    )
+  await Promise.all(
+    tplFiles
+      .filter(isTplChanged)
+      .map((filePath) =>
+        simpleReplace(
+          filePath,
+          mapSrcToDist(filePath, srcRoot, distRoot),
+          refinedReplaceFn,
+          forceCopyTemplate,
+          dryRun,
+          getReplaceOption(filePath)
+        )(getLocal2CdnObj(tplLocal2CdnObj))
+      )
+  ).then(recordRewrites('templates'))
+  isIncremental &&
+    tplFiles.forEach((filePath) => incrementalState.remember(filePath))
+}
+
+module.exports = {
+  rewriteTemplates,
+}
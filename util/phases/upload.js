@@ -0,0 +1,131 @@
+const path = require('path')
+const { logErr } = require('../log')
+const { UploadError } = require('../error')
+const { getIntegrity } = require('../sri')
+const { getVariantFiles } = require('../compress')
+const { normalize } = require('../share')
+
+/**
+ * upload files of a phase, keeping integrity, mirror and fallback urls of them
+ * @param {object} ctx see createRunContext
+ * @return {function(string, string[], object=): Promise<{[localPath: string]: string}>}
+ */
+function createUploader(ctx) {
+  const {
+    cdn,
+    enterPhase,
+    logLocal,
+    report,
+    stats,
+    track,
+    beforeUpload,
+    precompressOption,
+    dryRun,
+    failOnError,
+    sriAlgorithm,
+    getLocal2CdnObj,
+    isJs,
+    isCss,
+    urlCb,
+    isIncremental,
+    isRebuild,
+    applyMoved,
+    incrementalState,
+    moved,
+    mirrorUrls,
+    targetNames,
+    fallbackBase,
+    outputPath,
+    urlIntegrity,
+    urlFallbacks,
+    urlFinal,
+  } = ctx
+  return async (phase, files, target = cdn) => {
+    enterPhase(phase, files)
+    logLocal && console.log(files)
+    report && report.addUpload(phase, files)
+    // urls of what they refer to may have changed
+    isRebuild && applyMoved(files)
+    // same content as last uploaded, keep the url
+    const reused = isRebuild
+      ? files.filter(
+          (file) =>
+            incrementalState.isFresh(file) && incrementalState.get(file).url
+        )
+      : []
+    const toUpload = files.filter((file) => !reused.includes(file))
+    // beforeUpload may change files
+    beforeUpload && track(toUpload)
+    precompressOption &&
+      !dryRun &&
+      track(getVariantFiles(toUpload, precompressOption))
+    const res = Object.assign({}, await target.upload(toUpload))
+    // files without cdn url keep local reference
+    const notUploaded = toUpload.filter((file) => !res[file])
+    stats &&
+      stats.addUpload(
+        phase,
+        toUpload.filter((file) => res[file]),
+        reused
+      )
+    if (notUploaded.length) {
+      stats && stats.addFailed(phase, notUploaded)
+      const msg = `${notUploaded.length} file(s) failed to upload in ${phase}`
+      if (failOnError) {
+        throw new UploadError(msg, phase, notUploaded)
+      }
+      logErr(`${msg}:`)
+      notUploaded.forEach((file) => logErr(`  ${file}`))
+    }
+    // hash after uploading, beforeUpload has changed the file already
+    if (sriAlgorithm) {
+      getLocal2CdnObj(res).forEach(([file, url]) => {
+        if (isJs(file) || isCss(file)) {
+          urlIntegrity[url] = getIntegrity(file, sriAlgorithm)
+        }
+      })
+    }
+    if (isIncremental) {
+      toUpload
+        .filter((file) => res[file])
+        .forEach((file) => {
+          const url = urlCb(res[file], file)
+          const integrity = urlIntegrity[url]
+          const last = incrementalState.remember(file, res[file], integrity)
+          if (last && last.url && last.url !== res[file]) {
+            moved[urlCb(last.url, file)] = url
+          }
+          if (last && last.integrity && integrity !== last.integrity) {
+            moved[last.integrity] = integrity
+          }
+        })
+      reused.forEach((file) => {
+        const { url, integrity } = incrementalState.get(file)
+        res[file] = url
+        if (integrity) {
+          urlIntegrity[urlCb(url, file)] = integrity
+        }
+      })
+    }
+    Object.keys(res)
+      .filter((file) => res[file] && mirrorUrls[file])
+      .forEach((file) => {
+        urlFallbacks[urlCb(res[file], file)] = targetNames
+          .slice(1)
+          .filter((name) => mirrorUrls[file][name])
+          .map((name) => urlCb(mirrorUrls[file][name], file))
+      })
+    typeof fallbackBase === 'string' &&
+      Object.keys(res)
+        .filter((file) => res[file] && (isJs(file) || isCss(file)))
+        .forEach((file) => {
+          urlFinal[urlCb(res[file], file)] =
+            fallbackBase + normalize(path.relative(outputPath, file))
+        })
+    return res
+  }
+}
+
+module.exports = {
+  createUploader,
+}
@@ -0,0 +1,576 @@
+const { parallel, beforeUpload: beforeProcess } = require('y-upload-utils')
+const { resolve, handleCdnRes } = require('./util')
+const { log, logErr } = require('./log')
+const { resolveManifestOption } = require('./manifest')
+const { createDryRunCdn, createDryRunReport } = require('./dryRun')
+const {
+  resolveReportOption,
+  createRunReport,
+  writeReport,
+} = require('./report')
+const { UploadError } = require('./error')
+const { createTransaction } = require('./transaction')
+const { DEFAULT_ALGORITHM } = require('./sri')
+const { resolveSourceMapOption } = require('./sourceMap')
+const {
+  resolvePrecompressOption,
+  precompress: withVariants,
+} = require('./compress')
+const {
+  isHashedFile,
+  resolveMetadataOption,
+  createMetadataResolver,
+} = require('./metadata')
+const { read } = require('./share')
+const { hasRuntimeOverride } = require('./runtime')
+const { createIncrementalState, replaceMoved } = require('./incremental')
+const { createFilter } = require('./filter')
+const { isOneOfType, createTypeRegistry } = require('./assetTypes')
+const {
+  resolveTargets,
+  getTargetFingerprint,
+  withMirrors,
+} = require('./targets')
+const { resolveRetryOption, getFallbackBase } = require('./retry')
+const { resolveKeyOption, createKeyResolver } = require('./key')
+const { withCache } = require('./cache')
+const {
+  collectFiles,
+  createUploader,
+  createRewriter,
+  uploadSourceMaps,
+  uploadByLevel,
+  rewriteTemplates,
+  emitUploadManifest,
+} = require('./phases')
+const { exists } = require('./adapters/request')
+
+/**
+ * everything done after files are emitted, shared by UploadPlugin and uploadDirectory
+ * @param {object} cdnOption cdn object or named ones, see UploadPlugin
+ * @param {object} option options of UploadPlugin
+ * @param {object} env
+ * @param {string} env.context include/exclude globs are relative to it, [project] of keyTemplate is from it
+ * @param {string} env.outputPath [path] of keyTemplate is relative to it
+ * @param {string=} env.mode [env] of keyTemplate
+ * @param {function(): object} env.getCacheStore
+ * @return {{run: function(function(): object): Promise<void>, keyOption: object, getKey: function=, runtime: object, start: function, leave: function}}
+ */
+function createPipeline(cdnOption, option, env) {
+  const {
+    urlCb = (input) => input,
+    resolve: resolveList = ['html'],
+    src = '',
+    dist = src,
+    onFinish = () => {},
+    onError = () => {},
+    logLocalFiles: logLocal = false,
+    staticDir = '',
+    replaceFn = (input) => input,
+    beforeUpload,
+    waitFor = () => Promise.resolve(true),
+    dirtyCheck = false,
+    passToCdn,
+    enableCache = true,
+    cacheLocation,
+    sliceLimit,
+    forceCopyTemplate,
+    asyncCSS = true,
+    smartAssMode = false,
+    emitManifest = false,
+    emitReport = false,
+    dryRun = false,
+    failOnError = false,
+    transactional = false,
+    sri = false,
+    sourceMaps,
+    precompress = false,
+    metadata,
+    verifyCache = false,
+    incremental = false,
+    include,
+    exclude,
+    types: customTypes,
+    preciseRewrite = false,
+    runtimePublicPath = false,
+    session,
+    primaryCdn,
+    retry,
+    keyTemplate,
+  } = option
+  const { context, mode, getCacheStore } = env
+  // get absolute path of src and dist directory
+  let srcRoot = resolve(src)
+  let distRoot = resolve(dist)
+  let staticDirMut = staticDir
+  let srcMut = src
+  const getLocal2CdnObj = handleCdnRes(urlCb)
+  const isTemplate = isOneOfType(resolveList)
+  const isMap = isOneOfType(['map'])
+  const types = createTypeRegistry(customTypes)
+  const isJs = types.is('js')
+  const isCss = types.is('css')
+  // globs are relative to webpack context
+  const isIncluded = createFilter({ include, exclude }, context)
+  /**
+   * @param {string} location
+   * @return {string} empty if not a file to handle
+   */
+  function getAssetCategory(location) {
+    if (isTemplate(location)) return 'html'
+    if (isMap(location)) return 'map'
+    return types.getCategory(location)
+  }
+  const sriAlgorithm = sri === true ? DEFAULT_ALGORITHM : sri
+  const sourceMapOption = resolveSourceMapOption(sourceMaps)
+  const precompressOption = resolvePrecompressOption(precompress)
+  // {[localPath]: {[algorithm]: cdnUrl}}
+  const variantUrls = {}
+  // {[localPath]: {[target]: cdnUrl}} from mirror targets
+  const mirrorUrls = {}
+  const keyOption = resolveKeyOption(keyTemplate, { context, mode })
+  // hashes webpack put into file names, from the build of the current run
+  let fileHashes = {}
+  // every url is unique to the content when the key carries its hash
+  const isHashedKey = !!keyOption && /\[contenthash/.test(keyOption.template)
+  const metadataOption = resolveMetadataOption(metadata)
+  const getMetadata =
+    metadataOption &&
+    createMetadataResolver(
+      metadataOption,
+      // the key is what cdn url ends with
+      (file) =>
+        isHashedKey ||
+        isHashedFile(file, fileHashes[file], getKey ? getKey(file) : undefined)
+    )
+  const getKey =
+    keyOption &&
+    createKeyResolver(keyOption, {
+      root: env.outputPath,
+      getCategory: getAssetCategory,
+    })
+  /**
+   * {[localPath]: headers}, undefined when metadata is off
+   * @param {string[]} files
+   * @return {object=}
+   */
+  function getMetadataMap(files) {
+    if (!getMetadata) return undefined
+    return files.reduce(
+      (last, file) => Object.assign(last, { [file]: getMetadata(file) }),
+      {}
+    )
+  }
+
+  /**
+   * {[localPath]: object key}, undefined when keyTemplate is off
+   * @param {string[]} files
+   * @return {object=}
+   */
+  function getKeyMap(files) {
+    if (!getKey) return undefined
+    return files.reduce(
+      (last, file) => Object.assign(last, { [file]: getKey(file) }),
+      {}
+    )
+  }
+
+  // log error for cache setup
+  if (!enableCache && (cacheLocation || option.cacheStore) && !dryRun) {
+    logErr(
+      `'cacheLocation' or 'cacheStore' provided while haven't set 'enableCache' to true`
+    )
+    logErr(`This won't enable cache`)
+  }
+
+  // counted for each run
+  const cacheStats = { hits: 0, misses: 0 }
+  // statistics of the current run
+  let runReport = null
+  // kept between rebuilds
+  const incrementalState = createIncrementalState()
+  const { names: targetNames, targets } = resolveTargets(cdnOption, primaryCdn)
+  /**
+   * parallel, cache and session for each target
+   * @param {string} name
+   * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>}}
+   */
+  function wrapTarget(name) {
+    const target = targets[name]
+    const fingerprint = getTargetFingerprint(passToCdn, name, keyOption)
+    // adapters tell what they have retried
+    const hooks = {
+      onRetry: (file, error, attempt) =>
+        runReport && runReport.addRetry(name, file, error, attempt),
+    }
+    // wrap a new cdn object
+    const rawCdn = {
+      upload(files) {
+        return target.upload(
+          files,
+          passToCdn,
+          getMetadataMap(files),
+          getKeyMap(files),
+          hooks
+        )
+      },
+    }
+    // wrap with parallel
+    const paralleledCdn = parallel(rawCdn, { sliceLimit })
+    // wrap with cache
+    const wrappedCdn =
+      enableCache && !dryRun
+        ? withCache(paralleledCdn, {
+            store: getCacheStore(),
+            fingerprint,
+            verify: verifyCache
+              ? (url, localPath) =>
+                  typeof target.verify === 'function'
+                    ? target.verify(url, localPath)
+                    : exists(url)
+              : undefined,
+            stats: cacheStats,
+            getKey: getKey || undefined,
+          })
+        : paralleledCdn
+    // wrap with session
+    // files with the same content are uploaded once across compilers
+    return session && !dryRun
+      ? session.dedupe(wrappedCdn, {
+          origin: target,
+          fingerprint,
+          getKey: getKey || undefined,
+        })
+      : wrappedCdn
+  }
+
+  // wrap with mirrors
+  // every target gets every file, urls of the primary one are used
+  const sharedCdn =
+    targetNames.length > 1
+      ? withMirrors(
+          wrapTarget(targetNames[0]),
+          targetNames.slice(1).map((name) => ({ name, cdn: wrapTarget(name) })),
+          mirrorUrls
+        )
+      : wrapTarget(targetNames[0])
+
+  // wrap with precompress
+  // variants are created right before uploading, so they come from final content
+  const compressedCdn = precompressOption
+    ? withVariants(sharedCdn, precompressOption, variantUrls)
+    : sharedCdn
+
+  // wrap with beforeProcess
+  // use beforeUpload properly
+  // dry run skips all of them since they either upload or write files
+  const cdn = dryRun
+    ? createDryRunCdn()
+    : beforeProcess(compressedCdn, beforeUpload)
+  // private target for hidden source maps
+  const mapCdn =
+    sourceMapOption && sourceMapOption.mode === 'hidden' && !dryRun
+      ? parallel(
+          {
+            upload(files) {
+              return sourceMapOption.cdn.upload(
+                files,
+                passToCdn,
+                getMetadataMap(files),
+                getKeyMap(files),
+                {
+                  onRetry: (file, error, attempt) =>
+                    runReport &&
+                    runReport.addRetry('source maps', file, error, attempt),
+                }
+              )
+            },
+          },
+          { sliceLimit }
+        )
+      : cdn
+  // a failed chunk is loaded again, from each mirror and then the final fallback
+  const retryOption = resolveRetryOption(retry, targetNames.length - 1)
+  // this build in the session
+  const member = {}
+
+  /**
+   * everything phases of a run need, see util/phases
+   * options and what's kept between runs, the build and state of the run
+   * @param {object} build part of util/build the phases use
+   * @param {object} state of the run, like enterPhase, track and reports
+   * @return {object}
+   */
+  function createRunContext(build, state) {
+    const { outputPath, publicPath } = build
+    const ctx = Object.assign(
+      {
+        // options
+        urlCb,
+        resolveList,
+        replaceFn,
+        beforeUpload,
+        logLocal,
+        dirtyCheck,
+        forceCopyTemplate,
+        asyncCSS,
+        dryRun,
+        failOnError,
+        runtimePublicPath,
+        session,
+        member,
+        // smartAssMode may have changed them
+        src: srcMut,
+        staticDir: staticDirMut,
+        srcRoot,
+        distRoot,
+        // resolved from options
+        types,
+        isJs,
+        isCss,
+        isTemplate,
+        isIncluded,
+        getAssetCategory,
+        getLocal2CdnObj,
+        getKey,
+        sriAlgorithm,
+        sourceMapOption,
+        precompressOption,
+        targetNames,
+        cdn,
+        mapCdn,
+        // kept between runs
+        incrementalState,
+        variantUrls,
+        mirrorUrls,
+      },
+      build,
+      state,
+      {
+        // {[cdnUrl]: integrity} for uploaded js/css
+        urlIntegrity: {},
+        // {[cdnUrl]: mirror urls}, in the order of targets
+        urlFallbacks: {},
+        // {[cdnUrl]: url for the final retry} of js/css
+        urlFinal: {},
+        fallbackBase:
+          retryOption &&
+          retryOption.fallback &&
+          getFallbackBase(retryOption.fallback, publicPath),
+        // match references by resolved path instead of regex
+        preciseOption: preciseRewrite
+          ? {
+              root: outputPath,
+              publicPath,
+              extensions: types.getExtensions(),
+            }
+          : null,
+        // {[file]: references} not matching any uploaded file, precise mode only
+        unresolved: {},
+      }
+    )
+    return Object.assign(ctx, createRewriter(ctx), {
+      upload: createUploader(ctx),
+    })
+  }
+
+  /**
+   * upload and rewrite files of one build
+   * rejects only with failOnError
+   * @param {function(): object} describe see util/build, called after waitFor
+   * @return {Promise<void>}
+   */
+  async function run(describe) {
+    // where we are, for error report
+    let phase = 'prepare'
+    let phaseFiles = []
+    // dry run has a report of its own
+    const stats = dryRun ? null : createRunReport(env.outputPath)
+    const reportFile = stats && resolveReportOption(emitReport, env.outputPath)
+    runReport = stats
+    const enterPhase = (name, files = []) => {
+      phase = name
+      phaseFiles = files
+      stats && stats.enter(name)
+    }
+    enterPhase(phase)
+    // backup files before writing, revert all of them on error
+    const transaction = transactional && !dryRun ? createTransaction() : null
+    const track = (files) => transaction && transaction.track(files)
+    cacheStats.hits = 0
+    cacheStats.misses = 0
+    // watch mode, files left untouched since last run are skipped
+    const isIncremental = incremental && !dryRun
+    const isRebuild = isIncremental && incrementalState.size > 0
+    // {[oldUrl or oldIntegrity]: new one}, for files untouched since last run
+    const moved = {}
+    let unchangedFiles = new Set()
+    const isChanged = (file) => !unchangedFiles.has(file)
+    // injected runtime can be filled again, no matter changed or not
+    const canRefill = (file) =>
+      isChanged(file) || hasRuntimeOverride(read(file))
+    const applyMoved = (files) => {
+      const unchanged = files.filter((file) => !isChanged(file))
+      track(unchanged)
+      return replaceMoved(unchanged, moved)
+    }
+    try {
+      // wait to handle extra logic
+      await waitFor()
+      const {
+        outputPath,
+        publicPath,
+        chunkMap,
+        cssChunkMap,
+        assets: buildAssets,
+        isRuntimeInjected,
+        minimize,
+        runtimeChunk,
+        emitAsset,
+        fileHashes: buildHashes,
+      } = describe()
+      fileHashes = buildHashes
+      // early warning
+      // injected runtime doesn't care about minimized code
+      if (minimize === true && !isRuntimeInjected) {
+        log('WARNING! Set the optimization.minimize to false to make it works!')
+      }
+      if (retry && !isRuntimeInjected) {
+        log('WARNING! retry needs the runtime injected by the plugin')
+      }
+      // try to be smart ass
+      // which means assume all needed files is in the output.path from webpack
+      if (smartAssMode) {
+        srcRoot = outputPath
+        distRoot = outputPath
+        staticDirMut = outputPath
+        srcMut = outputPath
+      }
+      const manifestOption = resolveManifestOption(emitManifest, outputPath)
+      const ctx = createRunContext(
+        {
+          outputPath,
+          publicPath,
+          chunkMap,
+          cssChunkMap,
+          runtimeChunk,
+          emitAsset,
+        },
+        {
+          // collect what would happen instead of doing it
+          report: dryRun ? createDryRunReport(outputPath) : null,
+          stats,
+          reportFile,
+          manifestOption,
+          enterPhase,
+          track,
+          isChanged,
+          canRefill,
+          applyMoved,
+          moved,
+          isIncremental,
+          isRebuild,
+        }
+      )
+      const { report, unresolved } = ctx
+      const files = collectFiles(ctx, buildAssets)
+
+      if (isRebuild) {
+        unchangedFiles = new Set(
+          [
+            ...files.assetArr,
+            ...files.mapArr,
+            ...files.tplFiles,
+          ].filter((file) => incrementalState.isFresh(file))
+        )
+        log(`${unchangedFiles.size} file(s) unchanged since last build`)
+      }
+
+      const mapPairs = sourceMapOption ? await uploadSourceMaps(ctx, files) : {}
+      const allLocal2CdnObj = await uploadByLevel(ctx, files)
+      await rewriteTemplates(ctx, files, allLocal2CdnObj)
+      const unresolvedFiles = Object.keys(unresolved)
+      if (unresolvedFiles.length) {
+        logErr('unresolved references, left as they are:')
+        unresolvedFiles.forEach((file) =>
+          logErr(`  ${file}: ${unresolved[file].join(', ')}`)
+        )
+        report && report.addUnresolved(unresolved)
+        stats && stats.addUnresolved(unresolved)
+      }
+      if (report) {
+        log('dry run, nothing is uploaded or written')
+        console.log(JSON.stringify(report, null, 2))
+        onFinish(report.toJSON())
+        return
+      }
+      manifestOption &&
+        emitUploadManifest(
+          ctx,
+          files,
+          Object.assign({}, mapPairs, allLocal2CdnObj)
+        )
+      transaction && transaction.commit()
+      stats.finish(cacheStats)
+      if (reportFile) {
+        writeReport(reportFile, stats.toJSON())
+        log(`report written to ${reportFile}`)
+      }
+      // run onFinish if it is a valid function
+      onFinish(stats.toJSON())
+      const { files: fileStats, duration } = stats.toJSON()
+      log(
+        `${fileStats.uploaded} file(s) uploaded, ${fileStats.bytes} bytes in ${duration}ms`
+      )
+      enableCache &&
+        log(`cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses`)
+      log('all done')
+    } catch (e) {
+      log('err occurred!')
+      // files may be left half done, start over next time
+      incrementalState.clear()
+      console.log(e)
+      if (transaction) {
+        const count = transaction.rollback()
+        log(`rolled back ${count} file(s)`)
+      }
+      const uploadError =
+        e instanceof UploadError
+          ? e
+          : new UploadError(
+              e && e.message ? e.message : `${e}`,
+              phase,
+              phaseFiles
+            )
+      if (stats) {
+        stats.finish(cacheStats, uploadError)
+        // written even if the run failed, to see how far it went
+        reportFile && writeReport(reportFile, stats.toJSON())
+      }
+      // run when encounter error
+      onError(e)
+      // let the caller know, so the build fails
+      if (failOnError) {
+        throw uploadError
+      }
+    } finally {
+      // don't keep others waiting
+      session && session.leave(member)
+    }
+  }
+
+  return {
+    run,
+    keyOption,
+    getKey: getKey || undefined,
+    // for runtime injected at compile time
+    runtime: { sri: !!sriAlgorithm, retry: retryOption },
+    // join the session before the build starts, leave when it won't reach run
+    start: () => session && session.start(member),
+    leave: () => session && session.leave(member),
+  }
+}
+
+module.exports = {
+  createPipeline,
+}
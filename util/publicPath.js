@@ -0,0 +1,45 @@
+const path = require('path')
+const { normalize } = require('./share')
+
+/**
+ * publicPath as a prefix in emitted files
+ * 'auto' is computed in browser, and leaves no prefix
+ * function and [fullhash] are resolved the same way webpack does
+ * @param {object} compilation
+ * @param {(string|function)=} publicPath output.publicPath
+ * @return {{value: string, isAuto: boolean}}
+ */
+function resolvePublicPath(compilation, publicPath = '') {
+  if (publicPath === 'auto') return { value: '', isAuto: true }
+  const getPath = compilation.getAssetPath || compilation.getPath
+  const data = { hash: compilation.hash }
+  if (typeof getPath === 'function') {
+    return { value: getPath.call(compilation, publicPath, data), isAuto: false }
+  }
+  return {
+    value: typeof publicPath === 'function' ? publicPath(data) : publicPath,
+    isAuto: false,
+  }
+}
+
+/**
+ * url every file is uploaded under, so the runtime could just prefix relative names with it
+ * @param {[string, string][]} local2Cdn
+ * @param {string} root output path
+ * @return {string|null} null if urls don't share one
+ */
+function getCdnBase(local2Cdn, root) {
+  const bases = local2Cdn.map(([localPath, cdnUrl]) => {
+    const relative = normalize(path.relative(root, localPath))
+    return cdnUrl.endsWith(`/${relative}`)
+      ? cdnUrl.slice(0, cdnUrl.length - relative.length)
+      : null
+  })
+  const [base] = bases
+  return base && bases.every((item) => item === base) ? base : null
+}
+
+module.exports = {
+  resolvePublicPath,
+  getCdnBase,
+}
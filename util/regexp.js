@@ -1,4 +1,10 @@
-exports.getPublicPathExp = () => /__webpack_require__\.p\s?=\s?([^;\n]+);?/g
+// public path set by webpack, a string literal or scriptUrl for 'auto'
+// assignment from user code (__webpack_public_path__ = ...) is left alone
+exports.getPublicPathExp = () =>
+  /__webpack_require__\.p\s?=\s?("[^"\n]*"|'[^'\n]*'|scriptUrl);?/g
+// absolute url doesn't need public path in front
+exports.getPublicPathConcatExp = () =>
+  /__webpack_require__\.p\s?\+\s?(["'](?:[a-z][a-z\d+.-]*:)?\/\/)/gi
 exports.getV3ScriptRegExp = () =>
   /__webpack_require__\.p\s\+\s__webpack_require__\.u\((.*)\)/g
 exports.getV2ScriptRegExp = () =>
@@ -7,3 +13,7 @@ exports.getScriptRegExp = () =>
   /__webpack_require__\.p\s?\+[^[]+\[(\S+)][^\n]+?\.js['"];?/g
 exports.getCssChunksRegExp = () => /var\scssChunks\s*=\s*([^;\n]+);?/
 exports.getCssHrefRegExp = () => /var\shref\s*=[^\n]+?chunkId[^\n;]+;?/
+exports.getScriptSrcAssignExp = () => /script\.src\s*=\s*[^;\n]+;/
+exports.getLinkHrefAssignExp = () => /linkTag\.href\s*=\s*fullhref;?/
+exports.getCssFullHrefRegExp = () =>
+  /var\sfullhref\s*=\s*__webpack_require__\.p\s*\+\s*href;?/
@@ -0,0 +1,204 @@
+const fs = require('fs')
+const path = require('path')
+const fse = require('fs-extra')
+const { normalize } = require('./share')
+
+const DEFAULT_REPORT_NAME = 'upload-report.json'
+
+/**
+ * where to write the run report
+ * @param {boolean|string} emitReport
+ * @param {string} outputPath
+ * @return {string|null} absolute path, null to keep it in memory
+ */
+function resolveReportOption(emitReport, outputPath) {
+  if (!emitReport) return null
+  return path.resolve(
+    outputPath,
+    typeof emitReport === 'string' ? emitReport : DEFAULT_REPORT_NAME
+  )
+}
+
+/**
+ * @param {string} file
+ * @return {number} 0 if it's gone
+ */
+function getSize(file) {
+  try {
+    return fs.statSync(file).size
+  } catch (e) {
+    return 0
+  }
+}
+
+/**
+ * statistics of a run, passed to onFinish
+ * @param {string} root paths in report are relative to root
+ * @return {object}
+ */
+function createRunReport(root) {
+  const relative = (file) => normalize(path.relative(root, file))
+  const startedAt = Date.now()
+  // the phase being timed
+  let current = null
+  const report = {
+    status: 'running',
+    startedAt: new Date(startedAt).toISOString(),
+    duration: 0,
+    // a phase entered more than once adds up
+    phases: [],
+    files: { uploaded: 0, reused: 0, failed: 0, bytes: 0 },
+    cache: { hits: 0, misses: 0 },
+    retried: [],
+    failed: [],
+    // left out by include/exclude, referred to locally
+    excluded: [],
+    // files referring to each other, uploaded in one level
+    cycles: [],
+    rewrites: [],
+    unresolved: {},
+  }
+  const getPhase = (name) => {
+    let phase = report.phases.find((item) => item.name === name)
+    if (!phase) {
+      phase = { name, duration: 0, files: 0, bytes: 0 }
+      report.phases.push(phase)
+    }
+    return phase
+  }
+  const stopTiming = () => {
+    if (current) {
+      current.phase.duration += Date.now() - current.start
+      current = null
+    }
+  }
+  return {
+    /**
+     * stop timing the last phase, start timing this one
+     * @param {string} name
+     */
+    enter(name) {
+      stopTiming()
+      current = { phase: getPhase(name), start: Date.now() }
+    },
+    /**
+     * @param {string} name phase
+     * @param {string[]} files got a url from cdn, cache hits included
+     * @param {string[]} reused files untouched since last run, not uploaded again
+     */
+    addUpload(name, files, reused) {
+      const phase = getPhase(name)
+      const bytes = files.reduce((sum, file) => sum + getSize(file), 0)
+      phase.files += files.length
+      phase.bytes += bytes
+      report.files.uploaded += files.length
+      report.files.reused += reused.length
+      report.files.bytes += bytes
+    },
+    /**
+     * @param {string} name phase
+     * @param {string[]} files without cdn url
+     */
+    addFailed(name, files) {
+      report.files.failed += files.length
+      report.failed.push(
+        ...files.map((file) => ({ phase: name, file: relative(file) }))
+      )
+    },
+    /**
+     * @param {string[]} files left out by include/exclude
+     */
+    addExcluded(files) {
+      report.excluded.push(...files.map(relative))
+    },
+    /**
+     * @param {string[][]} cycles files referring to each other
+     */
+    addCycles(cycles) {
+      report.cycles.push(...cycles.map((cycle) => cycle.map(relative)))
+    },
+    /**
+     * a cdn attempted the file again
+     * @param {string} target name of the cdn target
+     * @param {string} file
+     * @param {Error} error why the last attempt failed
+     * @param {number} attempt start from 1
+     */
+    addRetry(target, file, error, attempt) {
+      const entry = report.retried.find(
+        (item) => item.target === target && item.file === relative(file)
+      )
+      const message = error && error.message ? error.message : `${error}`
+      if (entry) {
+        entry.attempts = Math.max(entry.attempts, attempt)
+        entry.error = message
+      } else {
+        report.retried.push({
+          target,
+          file: relative(file),
+          attempts: attempt,
+          error: message,
+        })
+      }
+    },
+    /**
+     * @param {string} name phase
+     * @param {string} file
+     * @param {{count: number}[]=} changes unknown for runtime chunk maps
+     */
+    addRewrite(name, file, changes) {
+      const rewrite = { phase: name, file: relative(file) }
+      if (changes) {
+        rewrite.references = changes.reduce((sum, { count }) => sum + count, 0)
+      }
+      report.rewrites.push(rewrite)
+    },
+    /**
+     * @param {{[file: string]: string[]}} unresolved
+     */
+    addUnresolved(unresolved) {
+      Object.keys(unresolved).forEach((file) => {
+        report.unresolved[relative(file)] = unresolved[file]
+      })
+    },
+    /**
+     * @param {{hits: number, misses: number}} cacheStats
+     * @param {{message: string, phase: string, files: string[]}=} error
+     */
+    finish(cacheStats, error) {
+      stopTiming()
+      report.status = error ? 'failed' : 'done'
+      report.duration = Date.now() - startedAt
+      report.cache = { hits: cacheStats.hits, misses: cacheStats.misses }
+      if (error) {
+        report.error = {
+          message: error.message,
+          phase: error.phase,
+          files: error.files.map(relative),
+        }
+      }
+    },
+    /**
+     * @return {object}
+     */
+    toJSON() {
+      return report
+    },
+  }
+}
+
+/**
+ * @param {string} filename
+ * @param {object} report
+ */
+function writeReport(filename, report) {
+  fse.ensureFileSync(filename)
+  fs.writeFileSync(filename, JSON.stringify(report, null, 2))
+}
+
+module.exports = {
+  DEFAULT_REPORT_NAME,
+  resolveReportOption,
+  createRunReport,
+  writeReport,
+}
@@ -0,0 +1,52 @@
+const DEFAULT_TIMES = 3
+const DEFAULT_DELAY = 500
+const DEFAULT_EVENT = 'webpack-upload-chunk-error'
+
+/**
+ * normalize retry option
+ * nothing is added to webpack runtime without it, mirrors only serve templates then
+ * @param {(boolean|number|{times: number=, delay: number=, fallback: (string|boolean)=, event: (string|boolean)=})=} retry
+ * @param {number} mirrors count of mirror targets, each tried once at least
+ * @return {{times: number, delay: number, fallback: (string|null), event: (string|null)}|null}
+ */
+function resolveRetryOption(retry, mirrors = 0) {
+  if (!retry) return null
+  const {
+    times = DEFAULT_TIMES,
+    delay = DEFAULT_DELAY,
+    fallback = 'local',
+    event = DEFAULT_EVENT,
+  } =
+    typeof retry === 'object'
+      ? retry
+      : { times: typeof retry === 'number' ? retry : DEFAULT_TIMES }
+  if (!Number.isInteger(times) || times < 1) {
+    throw new Error(`retry times should be a positive integer, got ${times}`)
+  }
+  const finalUrl = fallback || null
+  return {
+    // every mirror and the final fallback get one attempt at least
+    times: Math.max(times, mirrors + (finalUrl ? 1 : 0)),
+    delay,
+    fallback: finalUrl,
+    event: event || null,
+  }
+}
+
+/**
+ * base url of the final attempt
+ * 'local' is the publicPath files are emitted with
+ * empty for 'auto' or no publicPath, the runtime puts the public path it computed in front then
+ * @param {string} fallback 'local' or another host like https://backup.example.com/static/
+ * @param {string} publicPath
+ * @return {string}
+ */
+function getFallbackBase(fallback, publicPath) {
+  const base = fallback === 'local' ? publicPath : fallback
+  return !base || base.endsWith('/') ? base : `${base}/`
+}
+
+module.exports = {
+  resolveRetryOption,
+  getFallbackBase,
+}
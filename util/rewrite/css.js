@@ -0,0 +1,91 @@
+const QUOTES = ['"', "'"]
+const IDENT = /[\w-]/
+
+/**
+ * read a quoted string starting at the quote
+ * @param {string} content
+ * @param {number} start index of the opening quote
+ * @return {number} index after the closing quote
+ */
+function skipString(content, start) {
+  const quote = content[start]
+  let i = start + 1
+  while (i < content.length && content[i] !== quote && content[i] !== '\n') {
+    if (content[i] === '\\') i++
+    i++
+  }
+  return i + 1
+}
+
+/**
+ * references in css: url(), @import "" and strings in image-set()
+ * @param {string} content
+ * @param {number=} [offset=0] added to positions, for css inside html
+ * @return {{start: number, end: number, value: string}[]} position of value without quotes
+ */
+function findCssReferences(content, offset = 0) {
+  const refs = []
+  const add = (start, end) =>
+    refs.push({
+      start: start + offset,
+      end: end + offset,
+      value: content.slice(start, end),
+    })
+  // names of functions we are in
+  const fnStack = []
+  let ident = ''
+  let isImport = false
+  let i = 0
+  while (i < content.length) {
+    const char = content[i]
+    if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2)
+      i = end === -1 ? content.length : end + 2
+      ident = ''
+      continue
+    }
+    if (QUOTES.includes(char)) {
+      const end = skipString(content, i)
+      const fn = fnStack[fnStack.length - 1] || ''
+      if (isImport || fn === 'url' || /image-set$/.test(fn)) {
+        add(i + 1, end - 1)
+      }
+      isImport = false
+      ident = ''
+      i = end
+      continue
+    }
+    if (char === '(' && ident.toLowerCase() === 'url') {
+      let start = i + 1
+      while (/\s/.test(content[start] || '')) start++
+      // quoted url is read as string
+      if (!QUOTES.includes(content[start])) {
+        const close = content.indexOf(')', start)
+        const stop = close === -1 ? content.length : close
+        let end = stop
+        while (end > start && /\s/.test(content[end - 1])) end--
+        add(start, end)
+        isImport = false
+        ident = ''
+        i = stop + 1
+        continue
+      }
+    }
+    if (char === '(') {
+      fnStack.push(ident.toLowerCase())
+    } else if (char === ')') {
+      fnStack.pop()
+    } else if (char === ';') {
+      isImport = false
+    } else if (char === '@' && /^@import\b/i.test(content.slice(i, i + 8))) {
+      isImport = true
+    }
+    ident = IDENT.test(char) ? ident + char : ''
+    i++
+  }
+  return refs
+}
+
+module.exports = {
+  findCssReferences,
+}
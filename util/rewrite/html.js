@@ -0,0 +1,135 @@
+const { findCssReferences } = require('./css')
+
+// attributes holding one url
+const URL_ATTRS = ['src', 'href', 'xlink:href', 'poster']
+// content of these is not html
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title']
+
+/**
+ * candidates in srcset, "a.png 1x, b.png 2x"
+ * @param {string} value
+ * @param {number} offset position of value
+ * @return {{start: number, end: number, value: string}[]}
+ */
+function findSrcsetReferences(value, offset) {
+  const refs = []
+  let i = 0
+  while (i < value.length) {
+    while (i < value.length && /[\s,]/.test(value[i])) i++
+    const start = i
+    while (i < value.length && !/\s/.test(value[i])) i++
+    let end = i
+    // no descriptor, the comma sticks to url
+    while (end > start && value[end - 1] === ',') end--
+    end > start &&
+      refs.push({
+        start: start + offset,
+        end: end + offset,
+        value: value.slice(start, end),
+      })
+    // skip descriptor, unless the comma is already passed
+    if (end === i) {
+      while (i < value.length && value[i] !== ',') i++
+    }
+  }
+  return refs
+}
+
+/**
+ * @param {string} content
+ * @param {number} start index after tag name
+ * @return {{attrs: {name: string, start: number, end: number}[], end: number}} end is index after ">"
+ */
+function readAttributes(content, start) {
+  const attrs = []
+  let i = start
+  while (i < content.length && content[i] !== '>') {
+    if (/[\s/]/.test(content[i])) {
+      i++
+      continue
+    }
+    const nameStart = i
+    while (i < content.length && !/[\s=>/]/.test(content[i])) i++
+    const name = content.slice(nameStart, i).toLowerCase()
+    while (/\s/.test(content[i] || '')) i++
+    if (content[i] !== '=') continue
+    i++
+    while (/\s/.test(content[i] || '')) i++
+    const quote = content[i]
+    if (quote === '"' || quote === "'") {
+      const close = content.indexOf(quote, i + 1)
+      const end = close === -1 ? content.length : close
+      attrs.push({ name, start: i + 1, end })
+      i = end + 1
+    } else {
+      const valueStart = i
+      while (i < content.length && !/[\s>]/.test(content[i])) i++
+      attrs.push({ name, start: valueStart, end: i })
+    }
+  }
+  return { attrs, end: i + 1 }
+}
+
+/**
+ * references in html/svg: src, href, srcset, poster, style attribute and <style>
+ * @param {string} content
+ * @return {{start: number, end: number, value: string}[]} position of value without quotes
+ */
+function findHtmlReferences(content) {
+  const refs = []
+  let i = 0
+  while (i < content.length) {
+    const open = content.indexOf('<', i)
+    if (open === -1) break
+    if (content.startsWith('<!--', open)) {
+      const end = content.indexOf('-->', open + 4)
+      i = end === -1 ? content.length : end + 3
+      continue
+    }
+    if (content.startsWith('<![CDATA[', open)) {
+      const end = content.indexOf(']]>', open + 9)
+      i = end === -1 ? content.length : end + 3
+      continue
+    }
+    const tagName = (content.slice(open + 1).match(/^[a-zA-Z][\w:-]*/) || [
+      '',
+    ])[0]
+    // closing tag, doctype, or just "<" in text
+    if (!tagName) {
+      i = open + 1
+      continue
+    }
+    const { attrs, end } = readAttributes(content, open + 1 + tagName.length)
+    attrs.forEach((attr) => {
+      const value = content.slice(attr.start, attr.end)
+      if (URL_ATTRS.includes(attr.name)) {
+        const leading = value.length - value.trimStart().length
+        const trimmed = value.trim()
+        trimmed &&
+          refs.push({
+            start: attr.start + leading,
+            end: attr.start + leading + trimmed.length,
+            value: trimmed,
+          })
+      } else if (attr.name === 'srcset') {
+        refs.push(...findSrcsetReferences(value, attr.start))
+      } else if (attr.name === 'style') {
+        refs.push(...findCssReferences(value, attr.start))
+      }
+    })
+    i = end
+    const name = tagName.toLowerCase()
+    if (RAW_TEXT_TAGS.includes(name) && content[end - 2] !== '/') {
+      const close = content.toLowerCase().indexOf(`</${name}`, end)
+      const stop = close === -1 ? content.length : close
+      name === 'style' &&
+        refs.push(...findCssReferences(content.slice(end, stop), end))
+      i = stop
+    }
+  }
+  return refs
+}
+
+module.exports = {
+  findHtmlReferences,
+}
@@ -0,0 +1,144 @@
+const path = require('path')
+const { normalize } = require('../share')
+const { findCssReferences } = require('./css')
+const { findHtmlReferences } = require('./html')
+const { findJsReferences } = require('./js')
+
+// scheme, protocol relative or fragment only
+const NOT_LOCAL = /^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i
+// template syntax like <%= %>, {{ }}, ${}
+const NOT_PLAIN = /[<>{}]|\$\{/
+
+/**
+ * how to find references in file, markup for anything not css/js
+ * @param {string} file
+ * @return {function(string): {start: number, end: number, value: string}[]}
+ */
+function getFinder(file) {
+  const ext = path.extname(file).toLowerCase()
+  if (ext === '.css') return findCssReferences
+  if (['.js', '.mjs', '.cjs', '.json'].includes(ext)) return findJsReferences
+  return findHtmlReferences
+}
+
+/**
+ * where a reference may point to, exact paths only
+ * @param {string} value
+ * @param {string} file where the reference lives (in dist)
+ * @param {object} option
+ * @param {string} option.root output path, for root relative urls and publicPath
+ * @param {string=} option.publicPath
+ * @param {string[]} option.extensions references to other files are ignored
+ * @return {{paths: string[], suffix: string}|null} null if not a local file reference
+ */
+function resolveReference(value, file, option) {
+  const { root, publicPath = '', extensions } = option
+  if (!value || NOT_PLAIN.test(value)) return null
+  const [, rawPathname, suffix] = value.match(/^([^?#]*)(.*)$/)
+  let pathname = rawPathname
+  try {
+    pathname = decodeURI(rawPathname)
+  } catch (e) {
+    // keep it as is
+  }
+  const ext = path.extname(pathname).slice(1).toLowerCase()
+  if (!extensions.includes(ext)) return null
+  // no name, a piece webpack runtime appends to chunk ids, like ".chunk.css"
+  if (path.basename(pathname).startsWith('.')) return null
+  const isPublic = !['', './'].includes(publicPath)
+  if (isPublic && pathname.startsWith(publicPath)) {
+    return {
+      paths: [path.join(root, pathname.slice(publicPath.length))],
+      suffix,
+    }
+  }
+  if (NOT_LOCAL.test(pathname)) return null
+  if (pathname.startsWith('/')) {
+    return { paths: [path.join(root, pathname)], suffix }
+  }
+  const paths = [path.resolve(path.dirname(file), pathname)]
+  // strings in webpack output are relative to publicPath instead
+  getFinder(file) === findJsReferences &&
+    paths.push(path.resolve(root, pathname))
+  return { paths, suffix }
+}
+
+/**
+ * replace references resolved to exactly one of localPaths
+ * @param {string} content
+ * @param {string} file where the content will be written to
+ * @param {[string, string][]} localCdnPair
+ * @param {object} option see resolveReference
+ * @return {{content: string, changes: {localPath: string, cdnPath: string, count: number}[], unresolved: string[]}}
+ */
+function preciseReplace(content, file, localCdnPair, option) {
+  const cdnPaths = new Map(
+    localCdnPair.map(([localPath, cdnPath]) => [normalize(localPath), cdnPath])
+  )
+  const counts = new Map()
+  const unresolved = []
+  let refs
+  try {
+    refs = getFinder(file)(content)
+  } catch (e) {
+    throw new Error(`can't parse ${file}: ${e.message}`)
+  }
+  let newContent = ''
+  let last = 0
+  refs
+    .sort((a, b) => a.start - b.start)
+    .forEach((ref) => {
+      const resolved = resolveReference(ref.value, file, option)
+      if (!resolved) return
+      const localPath = resolved.paths
+        .map((p) => normalize(p))
+        .find((p) => cdnPaths.has(p))
+      if (!localPath) {
+        !unresolved.includes(ref.value) && unresolved.push(ref.value)
+        return
+      }
+      newContent +=
+        content.slice(last, ref.start) +
+        cdnPaths.get(localPath) +
+        resolved.suffix
+      last = ref.end
+      counts.set(localPath, (counts.get(localPath) || 0) + 1)
+    })
+  newContent += content.slice(last)
+  const changes = Array.from(counts).map(([localPath, count]) => ({
+    localPath,
+    cdnPath: cdnPaths.get(localPath),
+    count,
+  }))
+  return { content: newContent, changes, unresolved }
+}
+
+/**
+ * files among candidates referred to in content, in the same way as preciseReplace
+ * @param {string} content
+ * @param {string} file
+ * @param {string[]} candidates
+ * @param {object} option see resolveReference
+ * @return {string[]}
+ */
+function findReferencedFiles(content, file, candidates, option) {
+  const byPath = new Map(
+    candidates.map((candidate) => [normalize(candidate), candidate])
+  )
+  return getFinder(file)(content).reduce((last, ref) => {
+    const resolved = resolveReference(ref.value, file, option)
+    const localPath =
+      resolved &&
+      resolved.paths.map((p) => normalize(p)).find((p) => byPath.has(p))
+    localPath &&
+      !last.includes(byPath.get(localPath)) &&
+      last.push(byPath.get(localPath))
+    return last
+  }, [])
+}
+
+module.exports = {
+  resolveReference,
+  preciseReplace,
+  findReferencedFiles,
+}
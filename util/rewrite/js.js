@@ -0,0 +1,37 @@
+const { tokenizer, tokTypes } = require('acorn')
+
+/**
+ * string literals in js, and template literals without expressions
+ * throws if content can't be tokenized
+ * @param {string} content
+ * @return {{start: number, end: number, value: string}[]} position of value without quotes
+ */
+function findJsReferences(content) {
+  const refs = []
+  const tokens = Array.from(
+    tokenizer(content, {
+      // the latest acorn@7 knows
+      ecmaVersion: 2021,
+      sourceType: 'script',
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+    })
+  )
+  tokens.forEach((token, index) => {
+    const isString = token.type === tokTypes.string
+    const isPlainTemplate =
+      token.type === tokTypes.template &&
+      tokens[index - 1].type === tokTypes.backQuote &&
+      (tokens[index + 1] || {}).type === tokTypes.backQuote
+    if (!isString && !isPlainTemplate) return
+    const start = isString ? token.start + 1 : token.start
+    const end = isString ? token.end - 1 : token.end
+    // raw text, escapes in file paths are rare enough
+    refs.push({ start, end, value: content.slice(start, end) })
+  })
+  return refs
+}
+
+module.exports = {
+  findJsReferences,
+}
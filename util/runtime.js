@@ -0,0 +1,169 @@
+// placeholders injected into webpack runtime at compile time
+// filled with {[chunkId]: value} once files are uploaded
+// they are plain object literals so minifiers keep them
+// a filled map is marked by a comment of the name instead, so it can be filled again
+const RUNTIME_MAP = {
+  jsUrl: '__WEBPACK_UPLOAD_PLUGIN_JS_URL__',
+  jsIntegrity: '__WEBPACK_UPLOAD_PLUGIN_JS_INTEGRITY__',
+  cssUrl: '__WEBPACK_UPLOAD_PLUGIN_CSS_URL__',
+  cssIntegrity: '__WEBPACK_UPLOAD_PLUGIN_CSS_INTEGRITY__',
+  // mirror urls joined by space
+  jsFallback: '__WEBPACK_UPLOAD_PLUGIN_JS_FALLBACK__',
+  cssFallback: '__WEBPACK_UPLOAD_PLUGIN_CSS_FALLBACK__',
+  // url for the final attempt, local copy or another host
+  jsFinal: '__WEBPACK_UPLOAD_PLUGIN_JS_FINAL__',
+  cssFinal: '__WEBPACK_UPLOAD_PLUGIN_CSS_FINAL__',
+}
+
+// {[chunkId]: failed times}, kept on __webpack_require__ by the retry code
+const ATTEMPT_KEY = 'uploadAttempts'
+// public path webpack set, kept on __webpack_require__ when runtimePublicPath replaces it
+const LOCAL_PUBLIC_PATH_KEY = 'uploadLocalPublicPath'
+
+/**
+ * @param {string} name
+ * @return {string}
+ */
+function getPlaceholder(name) {
+  return `{${JSON.stringify(name)}:1}`
+}
+
+const JSON_STR = '"(?:[^"\\\\]|\\\\.)*"'
+
+/**
+ * match placeholder, minified, filled or not
+ * @param {string} name
+ * @return {RegExp}
+ */
+function getPlaceholderExp(name) {
+  const placeholder = `\\{\\s*["']?${name}["']?\\s*:\\s*(?:1|!0)\\s*\\}`
+  const entry = `${JSON_STR}:${JSON_STR}`
+  const filled = `\\/\\*${name}\\*\\/\\{(?:${entry}(?:,${entry})*)?\\}`
+  return new RegExp(`${placeholder}|${filled}`, 'g')
+}
+
+/**
+ * code to override url (and integrity) of element created by webpack runtime
+ * @param {object} option
+ * @param {string} option.element variable name of element, like script
+ * @param {string} option.attr src or href
+ * @param {string} option.chunkId variable name of chunk id
+ * @param {string} option.url placeholder name for url map
+ * @param {string=} option.integrity placeholder name for integrity map
+ * @param {string=} option.fallback placeholder name for mirror urls, used by retries
+ * @param {{name: string, times: number}=} option.final placeholder name for url of the final attempt
+ * @return {string}
+ */
+function getRuntimeOverride(option) {
+  const { element, attr, chunkId, url, integrity, fallback, final } = option
+  const code = [`var uploadUrl = ${getPlaceholder(url)}[${chunkId}];`]
+  if (fallback) {
+    code.push(
+      `var uploadAttempt = (__webpack_require__.${ATTEMPT_KEY} || {})[${chunkId}];`,
+      `var uploadFallback = ${getPlaceholder(fallback)}[${chunkId}];`,
+      `if (uploadAttempt && uploadFallback) uploadUrl = uploadFallback.split(" ")[uploadAttempt - 1] || uploadUrl;`
+    )
+  }
+  if (fallback && final) {
+    // relative to the public path webpack computed, like for 'auto'
+    code.push(
+      `var uploadFinal = uploadAttempt === ${final.times} && ${getPlaceholder(
+        final.name
+      )}[${chunkId}];`,
+      `if (uploadFinal) uploadUrl = /^([a-z][a-z\\d+.-]*:|\\/)/i.test(uploadFinal) ? uploadFinal : ("${LOCAL_PUBLIC_PATH_KEY}" in __webpack_require__ ? __webpack_require__.${LOCAL_PUBLIC_PATH_KEY} : __webpack_require__.p) + uploadFinal;`
+    )
+  }
+  code.push(`if (uploadUrl) ${element}.${attr} = uploadUrl;`)
+  if (integrity) {
+    code.push(
+      `var uploadIntegrity = ${getPlaceholder(integrity)}[${chunkId}];`,
+      `if (uploadIntegrity) { ${element}.integrity = uploadIntegrity; ${element}.crossOrigin = "anonymous"; }`
+    )
+  }
+  return code.join('\n')
+}
+
+/**
+ * code to load a chunk again when __webpack_require__.e rejects
+ * the override above picks a url by the attempt
+ * @param {object} option
+ * @param {number} option.times
+ * @param {number=} option.delay ms before the first retry, doubled each time
+ * @param {string=} option.event dispatched on window for every failure
+ * @return {string}
+ */
+function getRuntimeRetry(option) {
+  const { times, delay = 0, event } = option
+  const code = [
+    'if (__webpack_require__.e) (function () {',
+    '\tvar ensure = __webpack_require__.e;',
+    `\tvar attempts = __webpack_require__.${ATTEMPT_KEY} = {};`,
+    '\t__webpack_require__.e = function (chunkId) {',
+    '\t\treturn ensure.apply(this, arguments).catch(function (error) {',
+    '\t\t\tvar attempt = attempts[chunkId] || 0;',
+    `\t\t\tvar retry = attempt < ${times};`,
+  ]
+  if (event) {
+    code.push(
+      '\t\t\tif (typeof window !== "undefined" && typeof CustomEvent === "function") {',
+      `\t\t\t\twindow.dispatchEvent(new CustomEvent(${JSON.stringify(
+        event
+      )}, { detail: { chunkId: chunkId, attempt: attempt, retry: retry, error: error } }));`,
+      '\t\t\t}'
+    )
+  }
+  code.push(
+    // start over when imported again later
+    '\t\t\tif (!retry) { delete attempts[chunkId]; throw error; }',
+    '\t\t\tattempts[chunkId] = attempt + 1;',
+    delay
+      ? `\t\t\treturn new Promise(function (resolve) { setTimeout(resolve, ${delay} * Math.pow(2, attempt)); }).then(function () { return __webpack_require__.e(chunkId); });`
+      : '\t\t\treturn __webpack_require__.e(chunkId);',
+    '\t\t});',
+    '\t};',
+    '})();'
+  )
+  return code.join('\n')
+}
+
+/**
+ * @param {string} content
+ * @param {string} name
+ * @return {boolean}
+ */
+function hasPlaceholder(content, name) {
+  return getPlaceholderExp(name).test(content)
+}
+
+/**
+ * whether content has any runtime placeholder
+ * @param {string} content
+ * @return {boolean}
+ */
+function hasRuntimeOverride(content) {
+  return Object.keys(RUNTIME_MAP).some((key) =>
+    hasPlaceholder(content, RUNTIME_MAP[key])
+  )
+}
+
+/**
+ * replace placeholder with actual map
+ * @param {string} content
+ * @param {string} name
+ * @param {{[chunkId: string]: string}} map
+ * @return {string}
+ */
+function fillPlaceholder(content, name, map) {
+  const filled = `/*${name}*/${JSON.stringify(map)}`
+  return content.replace(getPlaceholderExp(name), () => filled)
+}
+
+module.exports = {
+  RUNTIME_MAP,
+  LOCAL_PUBLIC_PATH_KEY,
+  getRuntimeOverride,
+  getRuntimeRetry,
+  hasPlaceholder,
+  hasRuntimeOverride,
+  fillPlaceholder,
+}
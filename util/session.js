@@ -0,0 +1,112 @@
+const { getCacheKey } = require('./cache')
+
+/**
+ * upload session shared by plugin instances of several compilers
+ * like webpack([clientConfig, ssrConfig])
+ * @return {object}
+ */
+function createSession() {
+  // cdn object -> {[cacheKey]: Promise<cdnUrl|undefined>}
+  const uploads = new Map()
+  // {[localPath]: cdnUrl} of all compilers
+  const local2Cdn = {}
+  // members compiling right now
+  const running = new Set()
+  let waiting = []
+  const settle = () => {
+    if (running.size) return
+    waiting.forEach((resolve) => resolve())
+    waiting = []
+  }
+  return {
+    /**
+     * same content is uploaded once for the same cdn and passToCdn
+     * @param {{upload: function(string[]): Promise<{[localPath: string]: string}>}} cdn
+     * @param {object} option
+     * @param {object} option.origin cdn object from user, tells targets apart
+     * @param {string} option.fingerprint
+     * @param {(function(string): string)=} option.getKey object key of keyTemplate
+     * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>}}
+     */
+    dedupe(cdn, option) {
+      const { origin, fingerprint, getKey } = option
+      const getPendingKey = (file) =>
+        getCacheKey(file, fingerprint, getKey && getKey(file))
+      if (!uploads.has(origin)) uploads.set(origin, {})
+      const pending = uploads.get(origin)
+      return {
+        async upload(files) {
+          const own = []
+          const resolvers = {}
+          const promises = files.reduce((last, file) => {
+            const key = getPendingKey(file)
+            if (!pending[key]) {
+              own.push(file)
+              pending[key] = new Promise((resolve) => {
+                resolvers[file] = resolve
+              })
+            }
+            last[file] = pending[key]
+            return last
+          }, {})
+          let res = {}
+          try {
+            res = own.length ? await cdn.upload(own) : {}
+          } finally {
+            own.forEach((file) => {
+              // failed ones could be tried again
+              if (typeof res[file] !== 'string') {
+                delete pending[getPendingKey(file)]
+              }
+              resolvers[file](res[file])
+            })
+          }
+          const urls = await Promise.all(files.map((file) => promises[file]))
+          return files.reduce((last, file, index) => {
+            if (typeof urls[index] === 'string') last[file] = urls[index]
+            return last
+          }, {})
+        },
+      }
+    },
+    /**
+     * @param {object} member
+     */
+    start(member) {
+      running.add(member)
+    },
+    /**
+     * member has uploaded its files, wait for others compiling
+     * @param {object} member
+     * @param {{[localPath: string]: string}} pairs
+     * @return {Promise<void>}
+     */
+    finish(member, pairs) {
+      Object.assign(local2Cdn, pairs)
+      return new Promise((resolve) => {
+        waiting.push(resolve)
+        running.delete(member)
+        settle()
+      })
+    },
+    /**
+     * member stops without uploading, like compiling failed
+     * @param {object} member
+     */
+    leave(member) {
+      running.delete(member)
+      settle()
+    },
+    /**
+     * local -> cdn url of all compilers so far
+     * @return {{[localPath: string]: string}}
+     */
+    getMap() {
+      return Object.assign({}, local2Cdn)
+    },
+  }
+}
+
+module.exports = {
+  createSession,
+}
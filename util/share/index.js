@@ -43,13 +43,24 @@ function escapeDot(input) {
   return input
 }
 
+/**
+ * @param {string} input
+ * @return {string}
+ */
+function escapeRegExp(input) {
+  return input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
 /**
  * produce RegExp to match local path
  * @param {string} localPath
+ * @param {string=} publicPath matched in front of local path as well, and replaced together
  * @return {RegExp}
  */
-function generateLocalPathReg(localPath) {
-  const content = generateLocalPathStr(localPath)
+function generateLocalPathReg(localPath, publicPath = '') {
+  const content = `${
+    ['', './'].includes(publicPath) ? '' : `(?:${escapeRegExp(publicPath)})?`
+  }${generateLocalPathStr(localPath)}`
   const prefix = `([(=+,\\n\\t]\\s*['"]?)`
   // using prefix to strictly match resource reference
   // like src="", url(""), a = "", srcset="xxx.jpg 100w, xxx@2.jpg 200w"
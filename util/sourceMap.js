@@ -0,0 +1,69 @@
+const path = require('path')
+const { read, write, normalize } = require('./share')
+
+const MODES = ['upload', 'strip', 'hidden']
+
+// only match comment taking the whole line
+// like //# sourceMappingURL=bundle.js.map or /*# sourceMappingURL=index.css.map */
+// line break is removed together with the comment
+const getSourceMapCommentExp = () =>
+  /^[ \t]*(?:\/\/|\/\*)[#@][ \t]*sourceMappingURL=([^\s'"*]+)[ \t]*(?:\*\/)?[ \t]*(\r?\n)?/gm
+
+/**
+ * normalize sourceMaps option
+ * @param {(string|{mode: string, cdn: object=})=} sourceMaps
+ * @return {{mode: string, cdn: object=}|null}
+ */
+function resolveSourceMapOption(sourceMaps) {
+  if (!sourceMaps) return null
+  const option =
+    typeof sourceMaps === 'string' ? { mode: sourceMaps } : sourceMaps
+  if (!MODES.includes(option.mode)) {
+    throw new Error(
+      `sourceMaps should be one of ${MODES.join(', ')}, got ${option.mode}`
+    )
+  }
+  // never fall back to the public target
+  if (
+    option.mode === 'hidden' &&
+    (!option.cdn || typeof option.cdn.upload !== 'function')
+  ) {
+    throw new Error(
+      'sourceMaps "hidden" needs a cdn of its own, like { mode: "hidden", cdn }'
+    )
+  }
+  return option
+}
+
+/**
+ * update or remove sourceMappingURL comment in js/css files
+ * @param {string[]} files
+ * @param {function(string): (string|null)} getUrl receive absolute path of map, return new url, or null to remove the comment
+ * @param {boolean=} [dryRun=false]
+ * @return {string[]} files whose content changed
+ */
+function updateSourceMapComment(files, getUrl, dryRun = false) {
+  return files.filter((file) => {
+    const content = read(file)
+    const newContent = content.replace(
+      getSourceMapCommentExp(),
+      (match, url) => {
+        // inline map, nothing to do
+        if (/^data:/.test(url)) return match
+        const mapPath = normalize(path.resolve(path.dirname(file), url))
+        const newUrl = getUrl(mapPath)
+        if (newUrl === null) return ''
+        if (!newUrl) return match
+        return match.replace(url, newUrl)
+      }
+    )
+    if (newContent === content) return false
+    !dryRun && write(file)(newContent)
+    return true
+  })
+}
+
+module.exports = {
+  resolveSourceMapOption,
+  updateSourceMapComment,
+}
@@ -0,0 +1,96 @@
+const fs = require('fs')
+const crypto = require('crypto')
+
+const DEFAULT_ALGORITHM = 'sha384'
+
+/**
+ * get integrity value of file
+ * @param {string} file
+ * @param {string=} [algorithm="sha384"]
+ * @return {string} like sha384-xxx
+ */
+function getIntegrity(file, algorithm = DEFAULT_ALGORITHM) {
+  const digest = crypto
+    .createHash(algorithm)
+    .update(fs.readFileSync(file))
+    .digest('base64')
+  return `${algorithm}-${digest}`
+}
+
+/**
+ * get value of attribute from tag
+ * @param {string} tag
+ * @param {string} name
+ * @return {string|undefined}
+ */
+function getAttr(tag, name) {
+  const match = new RegExp(
+    `\\s${name}\\s*=\\s*(["']?)([^"'\\s>]+)\\1`,
+    'i'
+  ).exec(tag)
+  return match ? match[2] : undefined
+}
+
+/**
+ * add integrity and crossorigin to <script> and <link rel="stylesheet"> with known url
+ * @param {string} content
+ * @param {{[cdnUrl: string]: string}} urlIntegrity
+ * @return {string}
+ */
+function addIntegrityToTags(content, urlIntegrity) {
+  return content.replace(/<(script|link)\b[^>]*>/gi, (tag, tagName) => {
+    if (/\sintegrity\s*=/i.test(tag)) return tag
+    const isScript = tagName.toLowerCase() === 'script'
+    if (!isScript && !/^stylesheet$/i.test(getAttr(tag, 'rel') || '')) {
+      return tag
+    }
+    const url = getAttr(tag, isScript ? 'src' : 'href')
+    const integrity = url && urlIntegrity[url]
+    if (!integrity) return tag
+    const crossorigin = /\scrossorigin\b/i.test(tag)
+      ? ''
+      : ' crossorigin="anonymous"'
+    return tag.replace(
+      /\s*(\/?)>$/,
+      (_, slash) => ` integrity="${integrity}"${crossorigin}${slash}>`
+    )
+  })
+}
+
+/**
+ * code to set integrity for element created by webpack runtime
+ * @param {string} element variable name of element, like script or linkTag
+ * @param {{[chunkId: string]: string}} chunkIntegrity
+ * @return {string}
+ */
+function getRuntimeIntegrity(element, chunkIntegrity) {
+  const name = `${element}UploadIntegrity`
+  return `var ${name} = ${JSON.stringify(
+    chunkIntegrity
+  )}[chunkId]; if (${name}) { ${element}.integrity = ${name}; ${element}.crossOrigin = "anonymous"; }`
+}
+
+/**
+ * convert {[chunkId]: cdnUrl} to {[chunkId]: integrity}
+ * @param {{[chunkId: string]: string}} chunkCdnMap
+ * @param {{[cdnUrl: string]: string}} urlIntegrity
+ * @return {{[chunkId: string]: string}}
+ */
+function getChunkIntegrity(chunkCdnMap, urlIntegrity) {
+  return Object.keys(chunkCdnMap).reduce((last, id) => {
+    const integrity = urlIntegrity[chunkCdnMap[id]]
+    if (integrity) {
+      last[id] = integrity
+    }
+    return last
+  }, {})
+}
+
+module.exports = {
+  DEFAULT_ALGORITHM,
+  getIntegrity,
+  getAttr,
+  addIntegrityToTags,
+  getRuntimeIntegrity,
+  getChunkIntegrity,
+}
@@ -0,0 +1,84 @@
+const { getFingerprint } = require('./cache')
+
+const DEFAULT_TARGET = 'default'
+
+/**
+ * one cdn object, or named ones like {domestic: cdnA, overseas: cdnB}
+ * @param {object} cdn
+ * @param {string=} primary name of the target templates and runtime use first, the first one by default
+ * @return {{names: string[], targets: {[name: string]: object}}} names start with the primary one
+ */
+function resolveTargets(cdn, primary) {
+  if (cdn && typeof cdn.upload === 'function') {
+    return { names: [DEFAULT_TARGET], targets: { [DEFAULT_TARGET]: cdn } }
+  }
+  const names = Object.keys(cdn || {})
+  if (!names.length) {
+    throw new Error('cdn should have an upload method, or be named cdn objects')
+  }
+  names.forEach((name) => {
+    if (!cdn[name] || typeof cdn[name].upload !== 'function') {
+      throw new Error(`cdn target ${name} has no upload method`)
+    }
+  })
+  const first = primary || names[0]
+  if (!names.includes(first)) {
+    throw new Error(`primary cdn target ${first} is not found`)
+  }
+  return {
+    names: [first, ...names.filter((name) => name !== first)],
+    targets: cdn,
+  }
+}
+
+/**
+ * cache is kept apart for each target, and each key template
+ * a single cdn keeps the fingerprint it had before targets exist
+ * @param {object=} passToCdn
+ * @param {string} name
+ * @param {object=} keyOption resolved keyTemplate
+ * @return {string}
+ */
+function getTargetFingerprint(passToCdn, name, keyOption) {
+  if (keyOption) {
+    return getFingerprint({ target: name, passToCdn, key: keyOption })
+  }
+  return name === DEFAULT_TARGET
+    ? getFingerprint(passToCdn)
+    : getFingerprint({ target: name, passToCdn })
+}
+
+/**
+ * upload to every target in parallel
+ * only urls from the primary one are returned, others go to mirrorUrls
+ * @param {{upload: function(string[]): Promise<{[localPath: string]: string}>}} primary
+ * @param {{name: string, cdn: {upload: function(string[]): Promise<{[localPath: string]: string}>}}[]} mirrors
+ * @param {{[localPath: string]: {[name: string]: string}}} mirrorUrls
+ * @return {{upload: function(string[]): Promise<{[localPath: string]: string}>}}
+ */
+function withMirrors(primary, mirrors, mirrorUrls) {
+  return {
+    async upload(files) {
+      const [res, ...mirrorRes] = await Promise.all([
+        primary.upload(files),
+        ...mirrors.map(({ cdn }) => cdn.upload(files)),
+      ])
+      mirrors.forEach(({ name }, index) => {
+        files
+          .filter((file) => typeof mirrorRes[index][file] === 'string')
+          .forEach((file) => {
+            mirrorUrls[file] = Object.assign({}, mirrorUrls[file], {
+              [name]: mirrorRes[index][file],
+            })
+          })
+      })
+      return res
+    },
+  }
+}
+
+module.exports = {
+  resolveTargets,
+  getTargetFingerprint,
+  withMirrors,
+}
@@ -0,0 +1,68 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const fse = require('fs-extra')
+const { name: pjName } = require('./static')
+
+/**
+ * keep original copies of files before they get rewritten
+ * so every change can be reverted if anything goes wrong
+ * @return {{track: function(string[]): void, commit: function(): number, rollback: function(): number}}
+ */
+function createTransaction() {
+  const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), `${pjName}-`))
+  // file -> backup location, null if file didn't exist
+  const journal = new Map()
+
+  const clean = () => {
+    const count = journal.size
+    journal.clear()
+    fse.removeSync(backupDir)
+    return count
+  }
+
+  return {
+    /**
+     * call before files get written
+     * only the first call for a file counts
+     * @param {string[]} files
+     */
+    track(files) {
+      files.forEach((file) => {
+        if (journal.has(file)) return
+        if (!fs.existsSync(file)) {
+          journal.set(file, null)
+          return
+        }
+        const backup = path.join(backupDir, `${journal.size}`)
+        fs.copyFileSync(file, backup)
+        journal.set(file, backup)
+      })
+    },
+    /**
+     * keep all changes
+     * @return {number} number of files tracked
+     */
+    commit() {
+      return clean()
+    },
+    /**
+     * restore every tracked file, remove files that didn't exist
+     * @return {number} number of files restored
+     */
+    rollback() {
+      journal.forEach((backup, file) => {
+        if (backup) {
+          fs.copyFileSync(backup, file)
+        } else {
+          fse.removeSync(file)
+        }
+      })
+      return clean()
+    },
+  }
+}
+
+module.exports = {
+  createTransaction,
+}
@@ -8,20 +8,23 @@ const {
   getScriptRegExp,
   getV2ScriptRegExp,
   getV3ScriptRegExp,
+  getLinkHrefAssignExp,
+  getCssFullHrefRegExp,
 } = require('./regexp')
-const { isDir, isFile, isType } = require('./status')
+const { isDir, isFile } = require('./status')
 const { logErr } = require('./log')
 const { name: pjName } = require('./static')
 const { Worker } = require('worker_threads')
 const { TYPES } = require('./types')
+const { getChunkIntegrity, getRuntimeIntegrity } = require('./sri')
+const { getChunkFallback, getChunkFinal } = require('./fallback')
 const {
-  DEFAULT_SEP,
-  normalize,
-  read,
-  readAsync,
-  write,
-  writeAsync,
-} = require('./share')
+  RUNTIME_MAP,
+  hasPlaceholder,
+  hasRuntimeOverride,
+  fillPlaceholder,
+} = require('./runtime')
+const { normalize, read, readAsync, write, writeAsync } = require('./share')
 
 const existsAsync = promisify(fs.exists)
 const ensureFileAsync = promisify(fse.ensureFile)
@@ -34,22 +37,6 @@ const FILTER_OUT_DIR = ['.idea', '.vscode', '.gitignore', 'node_modules']
 // 4. find the usage of production file in html file
 // 5. if found, updateScriptSrc
 
-// type related
-const imgTypeArr = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'ico']
-const fontTypeArr = ['woff', 'woff2', 'ttf', 'oft', 'svg', 'eot']
-const isCss = isType('css')
-const isJs = isType('js')
-const isOneOfType = (types = ['']) => (file) =>
-  types.some((type) => isType(type)(file))
-
-function isFont(path) {
-  return fontTypeArr.some((type) => isType(type)(path))
-}
-
-function isImg(path) {
-  return imgTypeArr.some((type) => isType(type)(path))
-}
-
 /**
  *
  * @param {string[]} input
@@ -67,63 +54,6 @@ function isFilterOutDir(input) {
   return FILTER_OUT_DIR.includes(input)
 }
 
-/**
- * remove publicPath from webpack config
- * @param {string} publicPath
- * @return {function(string): string}
- */
-const handlePublicPath = (publicPath) => (content) => {
-  // match strictly
-  const escapedSeparator = `\\${DEFAULT_SEP}`
-  let regStr = publicPath
-    .split(DEFAULT_SEP)
-    .filter((item) => !!item)
-    .map((part) => {
-      if (/\./.test(part)) {
-        return part.replace(/\.+/g, (match) =>
-          match
-            .split('')
-            .map((dot) => '\\' + dot)
-            .join('')
-        )
-      }
-      return part
-    })
-    .join(escapedSeparator)
-  // absolute publicPath
-  if (publicPath.startsWith(DEFAULT_SEP)) {
-    let prefix = ''
-    const publicPathArray = publicPath.split('')
-    while (publicPathArray.length) {
-      const char = publicPathArray.shift()
-      if (char === DEFAULT_SEP) {
-        prefix += escapedSeparator
-      } else {
-        break
-      }
-    }
-    regStr = `${prefix}${regStr}`
-  }
-  // avoid matching url in form of `//path/to/resource`
-  // aka url which drop the protocol part
-  if (publicPath.endsWith(DEFAULT_SEP)) {
-    regStr += '([^/])'
-  }
-  const refinedRegStr = `([(=]['"]?)${regStr}`
-  const reg = new RegExp(refinedRegStr, 'g')
-  return content.replace(reg, (_, prefix, suffix) => {
-    let result = ''
-    if (prefix) {
-      result = `${prefix}${result}`
-    }
-    // suffix possibly is offset , assertion type
-    if (suffix && typeof suffix !== 'number') {
-      result += suffix
-    }
-    return result
-  })
-}
-
 /**
  * find file usage
  * 1. make sure the range: srcPath
@@ -132,14 +62,21 @@ const handlePublicPath = (publicPath) => (content) => {
  * @param {string=} distPath
  * @param {function=} replaceFn
  * @param {boolean=} [copyWhenUntouched=true] copy file even if the content remains the same
- * @return {function}
+ * @param {boolean=} [dryRun=false] only collect changes, write nothing
+ * @param {object=} option
+ * @param {object=} option.precise option for preciseReplace, match resolved paths exactly instead of regex
+ * @param {string=} option.publicPath matched in front of references by regex
+ * @return {function(*): Promise<{srcPath: string, distPath: string, changes: object[], unresolved: string[]=, fallback: string=}>} fallback tells why regex is used in precise mode
  */
 function simpleReplace(
   srcPath,
   distPath = srcPath,
   replaceFn = (input) => input,
-  copyWhenUntouched = true
+  copyWhenUntouched = true,
+  dryRun = false,
+  option = {}
 ) {
+  const { precise = null, publicPath = '' } = option
   const srcFilePromise = readAsync(srcPath)
   return async function savePair(localCdnPair) {
     const worker = new Worker(
@@ -147,17 +84,25 @@ function simpleReplace(
       {
         workerData: {
           srcPath,
+          distPath,
           localCdnPair,
+          precise,
+          publicPath,
         },
       }
     )
     return new Promise((resolve, reject) => {
-      worker.on('message', async ({ type, content }) => {
+      worker.on('message', async (message) => {
+        const { type, content, changes, unresolved, fallback } = message
         if (type !== TYPES.replaceContent) {
           return
         }
         try {
+          const result = { srcPath, distPath, changes, unresolved, fallback }
           const replacedContent = replaceFn(content, srcPath)
+          if (dryRun) {
+            return resolve(result)
+          }
           // no such path > force copy > content change
           const isFileInDist = await existsAsync(distPath)
           const srcFile = await srcFilePromise
@@ -167,8 +112,8 @@ function simpleReplace(
             await ensureFileAsync(distPath)
             fse.ensureFileSync(distPath)
             await writeAsync(distPath)(replacedContent)
-            resolve()
           }
+          resolve(result)
         } catch (e) {
           reject(e)
         }
@@ -270,6 +215,38 @@ function gatherChunks(chunks, chunkFileName) {
   }, {})
 }
 
+/**
+ * generate {id: name} object for async chunks based on emitted files
+ * @param {Iterable<{id: string|number, files: Iterable<string>, canBeInitial: function(): boolean}>} chunks
+ * @param {string} type js or css
+ * @return {{[id: string]: string}}
+ */
+function gatherChunkFiles(chunks, type) {
+  return Array.from(chunks).reduce((last, chunk) => {
+    if (chunk.canBeInitial()) return last
+    const file = Array.from(chunk.files).find(
+      (name) => path.extname(name) === `.${type}`
+    )
+    if (file) {
+      last[chunk.id] = file
+    }
+    return last
+  }, {})
+}
+
+/**
+ * get assets with location on disk, where webpack writes them to
+ * @param {object} compilation
+ * @param {string} outputPath
+ * @return {{[name: string]: {existsAt: string}}}
+ */
+function getCompilationAssets(compilation, outputPath) {
+  return compilation.getAssets().reduce((last, { name }) => {
+    last[name] = { existsAt: path.join(outputPath, name) }
+    return last
+  }, {})
+}
+
 /**
  * whether chunk is "entry" (common chunks is also considered as "entry")
  * @param {string} js
@@ -278,6 +255,7 @@ function gatherChunks(chunks, chunkFileName) {
 function isEntryChunk(js) {
   const content = read(js)
   return (
+    hasRuntimeOverride(content) ||
     getScriptRegExp().test(content) ||
     getV2ScriptRegExp().test(content) ||
     getV3ScriptRegExp().test(content)
@@ -298,34 +276,67 @@ function getObjValueArray(obj) {
  * experimental
  * @param {string[]} files
  * @param {{id: string}} chunkCdnMap
+ * @param {boolean=} [dryRun=false] only collect changed files, write nothing
+ * @param {{[cdnUrl: string]: string}=} urlIntegrity set integrity for chunks if provided
+ * @param {string=} cdnBase set as runtime public path, chunk names are left relative then
+ * @param {{[cdnUrl: string]: string[]}=} urlFallbacks mirror urls, for runtime injected by the plugin
+ * @param {{[cdnUrl: string]: string}=} urlFinal url of the final retry, for runtime injected by the plugin
+ * @return {Promise<string[]>} files whose content changed
  */
-async function updateScriptSrc(files, chunkCdnMap) {
+async function updateScriptSrc(
+  files,
+  chunkCdnMap,
+  dryRun = false,
+  urlIntegrity = {},
+  cdnBase,
+  urlFallbacks = {},
+  urlFinal = {}
+) {
   // if no new map was formed, then keep the way it is
   const len = Object.keys(chunkCdnMap).length
-  if (!len) return
+  if (!len) return []
+  const chunkIntegrity = getChunkIntegrity(chunkCdnMap, urlIntegrity)
+  const chunkFallback = getChunkFallback(chunkCdnMap, urlFallbacks)
+  const chunkFinal = getChunkFinal(chunkCdnMap, urlFinal)
 
   return new Promise((resolve, reject) => {
+    const changedFiles = []
     let count = files.length
     if (count === 0) {
-      resolve()
+      resolve(changedFiles)
     }
     Promise.all(
       files.map((file) => {
         const worker = new Worker(
           path.resolve(__dirname, 'worker/updateScriptSrc/index.js'),
           {
-            workerData: { type: TYPES.updateScriptSrc, file, chunkCdnMap },
+            workerData: {
+              type: TYPES.updateScriptSrc,
+              file,
+              chunkCdnMap,
+              chunkIntegrity,
+              cdnBase,
+              chunkFallback,
+              chunkFinal,
+            },
           }
         )
         worker.on('message', async ({ type, content, file }) => {
           if (type !== TYPES.updateScriptSrc) {
             return
           }
-          writeAsync(file)(content).then(() => {
+          if (content !== read(file)) {
+            changedFiles.push(file)
+          }
+          const done = () => {
             if (--count === 0) {
-              resolve()
+              resolve(changedFiles)
             }
-          }, reject)
+          }
+          if (dryRun) {
+            return done()
+          }
+          writeAsync(file)(content).then(done, reject)
         })
         worker.on('error', reject)
       })
@@ -337,14 +348,50 @@ async function updateScriptSrc(files, chunkCdnMap) {
  * Handle async CSS files extracted by mini-css-extract-plugin
  * @param {string[]} chunkFiles
  * @param {[string, string][]} cssMap
- * @param {string} publicPath
+ * @param {string=} cdnBase runtime public path is set to it, hrefs are left relative then
+ * @param {boolean=} [dryRun=false] only collect changed files, write nothing
+ * @param {{[cdnUrl: string]: string}=} urlIntegrity set integrity for css chunks if provided
+ * @param {{[chunkId: string]: string}=} cssChunkCdnMap for runtime injected by the plugin
+ * @param {{[cdnUrl: string]: string[]}=} urlFallbacks mirror urls, for runtime injected by the plugin
+ * @param {{[cdnUrl: string]: string}=} urlFinal url of the final retry, for runtime injected by the plugin
+ * @return {string[]} files whose content changed
  */
-function updateCssLoad(chunkFiles, cssMap, publicPath) {
+function updateCssLoad(
+  chunkFiles,
+  cssMap,
+  cdnBase,
+  dryRun = false,
+  urlIntegrity = {},
+  cssChunkCdnMap = {},
+  urlFallbacks = {},
+  urlFinal = {}
+) {
   const keys = cssMap.map(([local]) => local)
+  const changedFiles = []
   chunkFiles.forEach((file) => {
     const content = read(file)
     let newContent = content
+    // runtime knows how to look up cdn url, just fill in the map
+    if (hasPlaceholder(content, RUNTIME_MAP.cssUrl)) {
+      if (!Object.keys(cssChunkCdnMap).length) return
+      newContent = [
+        [RUNTIME_MAP.cssUrl, cssChunkCdnMap],
+        [
+          RUNTIME_MAP.cssIntegrity,
+          getChunkIntegrity(cssChunkCdnMap, urlIntegrity),
+        ],
+        [
+          RUNTIME_MAP.cssFallback,
+          getChunkFallback(cssChunkCdnMap, urlFallbacks),
+        ],
+        [RUNTIME_MAP.cssFinal, getChunkFinal(cssChunkCdnMap, urlFinal)],
+      ].reduce((last, [name, map]) => fillPlaceholder(last, name, map), content)
+      changedFiles.push(file)
+      !dryRun && write(file)(newContent)
+      return
+    }
     const match = content.match(getCssChunksRegExp())
+    let cssIntegrity = {}
     if (match) {
       const [, map] = match
       newContent = newContent.replace(getCssHrefRegExp(), (hrefMatch) => {
@@ -365,10 +412,8 @@ function updateCssLoad(chunkFiles, cssMap, publicPath) {
             const localIndex = keys.findIndex((key) => key.indexOf(href) > -1)
             if (localIndex < 0) {
               // use the original href when not found from cdn result
-              // since __webpack_require__.p will be set to ""
-              // publicPath is added here
-              // reason: var fullhref = __webpack_require__.p + href;
-              last[chunkId] = publicPath + rawHref
+              // publicPath is still added by: var fullhref = __webpack_require__.p + href;
+              last[chunkId] = rawHref
               return last
             }
             last[chunkId] = cssMap[localIndex][1]
@@ -380,13 +425,33 @@ function updateCssLoad(chunkFiles, cssMap, publicPath) {
         if (!Object.keys(cssChunkIdCdnMap).length) {
           return hrefMatch
         }
+        cssIntegrity = getChunkIntegrity(cssChunkIdCdnMap, urlIntegrity)
+        // relative href works with public path set to cdn base
+        if (typeof cdnBase === 'string') {
+          return hrefMatch
+        }
         const newCssMap = JSON.stringify(cssChunkIdCdnMap)
         return `var href = ${newCssMap}[chunkId];`
       })
+      // cdn url doesn't need public path in front
+      newContent = newContent.replace(
+        getCssFullHrefRegExp(),
+        'var fullhref = /^(?:[a-z][a-z\\d+.-]*:)?\\/\\//i.test(href) ? href : __webpack_require__.p + href;'
+      )
+      if (Object.keys(cssIntegrity).length) {
+        newContent = newContent.replace(
+          getLinkHrefAssignExp(),
+          (hrefMatch) =>
+            `${hrefMatch} ${getRuntimeIntegrity('linkTag', cssIntegrity)}`
+        )
+      }
+      if (newContent === content) return
+      changedFiles.push(file)
       // update js entry file with new cssMap
-      write(file)(newContent)
+      !dryRun && write(file)(newContent)
     }
   })
+  return changedFiles
 }
 
 /**
@@ -416,22 +481,16 @@ function getExistsAtFromAsset(asset) {
 module.exports = {
   resolve,
   simpleReplace,
-  handlePublicPath,
   updateScriptSrc,
   updateCssLoad,
   isEntryChunk,
   getIdForChunk,
   gatherChunks,
+  gatherChunkFiles,
+  getCompilationAssets,
   getObjValueArray,
   handleCdnRes,
   mapSrcToDist,
   gatherFileIn,
-  isJs,
-  isCss,
-  isImg,
-  isFont,
-  isOneOfType,
-  imgTypeArr,
-  fontTypeArr,
   getExistsAtFromAsset,
 }
@@ -1,10 +1,33 @@
 const { workerData, parentPort } = require('worker_threads')
 const { normalize, generateLocalPathReg, readAsync } = require('../../share')
 const { TYPES } = require('../../types')
+const { preciseReplace } = require('../../rewrite')
 
 async function index() {
-  const newContent = await replace(workerData)
-  parentPort.postMessage({ type: TYPES.replaceContent, content: newContent })
+  const { precise, srcPath, distPath, localCdnPair } = workerData
+  let result = null
+  // why precise mode gave up on the file
+  let fallback
+  if (precise) {
+    try {
+      result = preciseReplace(
+        await readAsync(srcPath),
+        distPath,
+        localCdnPair,
+        precise
+      )
+    } catch (e) {
+      fallback = e.message
+    }
+  }
+  const { content, changes, unresolved } = result || (await replace(workerData))
+  parentPort.postMessage({
+    type: TYPES.replaceContent,
+    content,
+    changes,
+    unresolved,
+    fallback,
+  })
 }
 index().catch((e) => {
   throw e
@@ -15,18 +38,26 @@ index().catch((e) => {
  * @param option
  * @param {string} option.srcPath
  * @param {object} option.localCdnPair
- * @return {Promise<string>}
+ * @param {string=} option.publicPath matched in front of references, only removed from the ones replaced
+ * @return {Promise<{content: string, changes: {localPath: string, cdnPath: string, count: number}[]}>}
  */
 async function replace(option = {}) {
-  const { srcPath, localCdnPair } = option
+  const { srcPath, localCdnPair, publicPath } = option
   const content = await readAsync(srcPath)
-  return localCdnPair.reduce((last, file) => {
+  const changes = []
+  const newContent = localCdnPair.reduce((last, file) => {
     const localPath = normalize(file[0])
     const cdnPath = file[1]
-    const localPathReg = generateLocalPathReg(localPath)
+    const localPathReg = generateLocalPathReg(localPath, publicPath)
+    let count = 0
     last = last.replace(localPathReg, (_, prefix) => {
+      count++
       return `${prefix}${cdnPath}`
     })
+    if (count) {
+      changes.push({ localPath, cdnPath, count })
+    }
     return last
   }, content)
+  return { content: newContent, changes }
 }
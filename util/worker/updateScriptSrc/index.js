@@ -4,16 +4,39 @@ const {
   getV2ScriptRegExp,
   getV3ScriptRegExp,
   getPublicPathExp,
+  getScriptSrcAssignExp,
 } = require('../../regexp')
 const { TYPES } = require('../../types')
 const { readAsync } = require('../../share')
+const { getRuntimeIntegrity } = require('../../sri')
+const {
+  RUNTIME_MAP,
+  LOCAL_PUBLIC_PATH_KEY,
+  hasPlaceholder,
+  fillPlaceholder,
+} = require('../../runtime')
 
 async function index() {
-  const { type, file, chunkCdnMap } = workerData
+  const {
+    type,
+    file,
+    chunkCdnMap,
+    chunkIntegrity,
+    cdnBase,
+    chunkFallback,
+    chunkFinal,
+  } = workerData
   if (type !== TYPES.updateScriptSrc) {
     return
   }
-  const newContent = await updateScriptSrc(file, chunkCdnMap)
+  const newContent = await updateScriptSrc(
+    file,
+    chunkCdnMap,
+    chunkIntegrity,
+    cdnBase,
+    chunkFallback,
+    chunkFinal
+  )
   parentPort.postMessage({
     file,
     content: newContent,
@@ -22,8 +45,82 @@ async function index() {
 }
 index().catch(console.error)
 
-async function updateScriptSrc(file, chunkCdnMap) {
+/**
+ * @param {string} file
+ * @param {{[chunkId: string]: string}} chunkCdnMap
+ * @param {{[chunkId: string]: string}=} chunkIntegrity
+ * @param {string=} cdnBase set as public path of runtime if provided
+ * @param {{[chunkId: string]: string}=} chunkFallback mirror urls, injected runtime only
+ * @param {{[chunkId: string]: string}=} chunkFinal url of the final retry, injected runtime only
+ * @return {Promise<string>}
+ */
+async function updateScriptSrc(
+  file,
+  chunkCdnMap,
+  chunkIntegrity,
+  cdnBase,
+  chunkFallback,
+  chunkFinal
+) {
   const content = await readAsync(file)
+  return setPublicPath(
+    updateChunkMap(
+      content,
+      chunkCdnMap,
+      chunkIntegrity,
+      cdnBase,
+      chunkFallback,
+      chunkFinal
+    ),
+    cdnBase
+  )
+}
+
+/**
+ * @param {string} content
+ * @param {string=} cdnBase
+ * @return {string}
+ */
+function setPublicPath(content, cdnBase) {
+  // nothing better to set, keep what webpack and user decide
+  if (typeof cdnBase !== 'string') return content
+  const assign = `__webpack_require__.p = ${JSON.stringify(cdnBase)};`
+  // the final retry of 'local' fallback may still need the one webpack set
+  // kept once, on the same line, a rebuild only sets the cdn base again
+  const saved = `__webpack_require__.${LOCAL_PUBLIC_PATH_KEY} = `
+  return content.replace(getPublicPathExp(), (_, value, offset) =>
+    content.lastIndexOf(saved, offset) > content.lastIndexOf('\n', offset)
+      ? assign
+      : `${saved}${value}; ${assign}`
+  )
+}
+
+/**
+ * @param {string} content
+ * @param {{[chunkId: string]: string}} chunkCdnMap
+ * @param {{[chunkId: string]: string}=} chunkIntegrity
+ * @param {string=} cdnBase
+ * @param {{[chunkId: string]: string}=} chunkFallback
+ * @param {{[chunkId: string]: string}=} chunkFinal
+ * @return {string}
+ */
+function updateChunkMap(
+  content,
+  chunkCdnMap,
+  chunkIntegrity = {},
+  cdnBase,
+  chunkFallback = {},
+  chunkFinal = {}
+) {
+  // runtime injected by the plugin, no need to touch webpack's own code
+  if (hasPlaceholder(content, RUNTIME_MAP.jsUrl)) {
+    return [
+      [RUNTIME_MAP.jsUrl, chunkCdnMap],
+      [RUNTIME_MAP.jsIntegrity, chunkIntegrity],
+      [RUNTIME_MAP.jsFallback, chunkFallback],
+      [RUNTIME_MAP.jsFinal, chunkFinal],
+    ].reduce((last, [name, map]) => fillPlaceholder(last, name, map), content)
+  }
   let newContent = content
   // update chunkMap
   const isV1ChunkSyntax = getScriptRegExp().test(content)
@@ -39,19 +136,23 @@ async function updateScriptSrc(file, chunkCdnMap) {
     } else if (isV3ChunkSyntax) {
       regExp = getV3ScriptRegExp()
     }
-    newContent = newContent.replace(regExp, (match, id) => {
-      if (!id) {
-        return match
-      }
-      return `${JSON.stringify(chunkCdnMap)}[${id}];`
-    })
-  }
-  // update publicPath
-  if (getPublicPathExp().test(content)) {
-    newContent = newContent.replace(
-      getPublicPathExp(),
-      `__webpack_require__.p = "";`
-    )
+    // chunk names stay relative when public path is set to cdn base
+    if (typeof cdnBase !== 'string') {
+      newContent = newContent.replace(regExp, (match, id) => {
+        if (!id) {
+          return match
+        }
+        return `${JSON.stringify(chunkCdnMap)}[${id}];`
+      })
+    }
+    // set integrity for chunk script, only once
+    const hasIntegrity = /scriptUploadIntegrity/.test(newContent)
+    if (Object.keys(chunkIntegrity).length && !hasIntegrity) {
+      newContent = newContent.replace(
+        getScriptSrcAssignExp(),
+        (match) => `${match} ${getRuntimeIntegrity('script', chunkIntegrity)}`
+      )
+    }
   }
   return newContent
 }